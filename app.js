@@ -6,18 +6,24 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { getTrustProxy } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const invitationsRoutes = require("./routes/invitations");
 
 const morgan = require("morgan");
 
 const app = express();
 
-app.use(cors());
+// so req.ip is the client's address, not a proxy's (see TRUST_PROXY in config.js)
+app.set("trust proxy", getTrustProxy());
+
+app.use(cors({ exposedHeaders: ["X-Total-Count"] }));
 app.use(express.json());
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
@@ -26,6 +32,8 @@ app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/invitations", invitationsRoutes);
 
 /** Handle 404 errors -- this matches everything */
 app.use(function (req, res, next) {
@@ -38,6 +46,10 @@ app.use(function (err, req, res, next) {
   const status = err.status || 500;
   const message = err.message;
 
+  // 401s are for missing or bad credentials only; say how to authenticate
+  if (status === 401) res.set("WWW-Authenticate", 'Bearer realm="jobly"');
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+
   return res.status(status).json({
     error: { message, status },
   });
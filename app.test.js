@@ -2,6 +2,7 @@ const request = require("supertest");
 
 const app = require("./app");
 const db = require("./db");
+const { createToken } = require("./helpers/tokens");
 
 
 test("not found for site 404", async function () {
@@ -16,6 +17,21 @@ test("not found for site 404 (test stack print)", async function () {
   delete process.env.NODE_ENV;
 });
 
+test("unauthorized responses say how to authenticate", async function () {
+  const resp = await request(app).get("/users");
+  expect(resp.statusCode).toEqual(401);
+  expect(resp.headers["www-authenticate"]).toEqual('Bearer realm="jobly"');
+});
+
+test("forbidden responses don't ask to authenticate", async function () {
+  const token = createToken({ username: "u1", isAdmin: false });
+  const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${token}`);
+  expect(resp.statusCode).toEqual(403);
+  expect(resp.headers["www-authenticate"]).toBeUndefined();
+});
+
 afterAll(function () {
   db.end();
 });
@@ -4,6 +4,8 @@
 
 require("dotenv").config();
 require("colors");
+const os = require("os");
+const path = require("path");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
@@ -21,16 +23,92 @@ function getDatabaseUri() {
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// Lifetimes, in seconds, of access tokens (JWTs) and of refresh tokens
+const ACCESS_TOKEN_TTL = +process.env.ACCESS_TOKEN_TTL || 15 * 60;
+const REFRESH_TOKEN_TTL = +process.env.REFRESH_TOKEN_TTL || 30 * 24 * 60 * 60;
+
+// Which proxies in front of the app to trust for the client's address
+// (req.ip), as for Express's "trust proxy" setting: "true" for all, a number
+// of hops, or a comma-separated list of addresses or subnets; none by
+// default. Behind a proxy (e.g. a load balancer) set it, or every client
+// gets the proxy's address, and throttling logins by IP throttles everyone.
+function getTrustProxy() {
+  const setting = process.env.TRUST_PROXY;
+  if (!setting || setting === "false") return false;
+  if (setting === "true") return true;
+  if (/^\d+$/.test(setting)) return +setting;
+  return setting;
+}
+
+// Login throttling (see LoginThrottle): failed logins allowed before backing
+// off, failures per username and per IP address before locking them out, and
+// how long, in seconds, lockouts last (failures older than that are forgotten)
+const LOGIN_FREE_FAILURES = +process.env.LOGIN_FREE_FAILURES || 3;
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 10;
+const LOGIN_MAX_IP_FAILURES = +process.env.LOGIN_MAX_IP_FAILURES || 50;
+const LOGIN_LOCKOUT = +process.env.LOGIN_LOCKOUT || 15 * 60;
+
+// How long, in seconds, a login has to pass its two-factor challenge, and
+// whether admins have to enroll in two-factor authentication to act as admins
+const TWO_FACTOR_CHALLENGE_TTL = +process.env.TWO_FACTOR_CHALLENGE_TTL || 5 * 60;
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === "true";
+
+// How long, in seconds, a password reset link works
+const PASSWORD_RESET_TTL = +process.env.PASSWORD_RESET_TTL || 60 * 60;
+
+// How long, in seconds, an email verification link works
+const EMAIL_VERIFICATION_TTL = +process.env.EMAIL_VERIFICATION_TTL || 2 * 24 * 60 * 60;
+
+// How long, in seconds, an invitation link works
+const INVITATION_TTL = +process.env.INVITATION_TTL || 7 * 24 * 60 * 60;
+
+// The frontend, which links in emails point to; some point to this API itself
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+const API_URL = process.env.API_URL || `http://localhost:${PORT}`;
+
+// Where LocalDiskStorage keeps uploaded files (e.g. resumes)
+const UPLOAD_DIR = process.env.NODE_ENV === "test"
+    ? path.join(os.tmpdir(), "jobly-test-uploads")
+    : process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("ACCESS_TOKEN_TTL:".yellow, ACCESS_TOKEN_TTL);
+console.log("REFRESH_TOKEN_TTL:".yellow, REFRESH_TOKEN_TTL);
+console.log("TRUST_PROXY:".yellow, getTrustProxy());
+console.log("LOGIN_MAX_FAILURES:".yellow, LOGIN_MAX_FAILURES);
+console.log("LOGIN_MAX_IP_FAILURES:".yellow, LOGIN_MAX_IP_FAILURES);
+console.log("LOGIN_LOCKOUT:".yellow, LOGIN_LOCKOUT);
+console.log("REQUIRE_ADMIN_2FA:".yellow, REQUIRE_ADMIN_2FA);
+console.log("PASSWORD_RESET_TTL:".yellow, PASSWORD_RESET_TTL);
+console.log("EMAIL_VERIFICATION_TTL:".yellow, EMAIL_VERIFICATION_TTL);
+console.log("INVITATION_TTL:".yellow, INVITATION_TTL);
+console.log("FRONTEND_URL:".yellow, FRONTEND_URL);
+console.log("API_URL:".yellow, API_URL);
 console.log("Database:".yellow, getDatabaseUri());
+console.log("UPLOAD_DIR:".yellow, UPLOAD_DIR);
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
-  getDatabaseUri
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  LOGIN_FREE_FAILURES,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_LOCKOUT,
+  TWO_FACTOR_CHALLENGE_TTL,
+  REQUIRE_ADMIN_2FA,
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+  INVITATION_TTL,
+  FRONTEND_URL,
+  API_URL,
+  UPLOAD_DIR,
+  getDatabaseUri,
+  getTrustProxy
 };
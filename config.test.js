@@ -25,3 +25,23 @@ describe("config can come from env", function () {
   });
 })
 
+describe("getTrustProxy", function () {
+  afterEach(function () {
+    delete process.env.TRUST_PROXY;
+  });
+
+  test("works", function () {
+    const { getTrustProxy } = require("./config");
+    expect(getTrustProxy()).toEqual(false);
+
+    process.env.TRUST_PROXY = "true";
+    expect(getTrustProxy()).toEqual(true);
+    process.env.TRUST_PROXY = "false";
+    expect(getTrustProxy()).toEqual(false);
+    process.env.TRUST_PROXY = "1";
+    expect(getTrustProxy()).toEqual(1);
+    process.env.TRUST_PROXY = "loopback, 10.0.0.0/8";
+    expect(getTrustProxy()).toEqual("loopback, 10.0.0.0/8");
+  });
+});
+
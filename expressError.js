@@ -36,18 +36,37 @@ class BadRequestError extends ExpressError {
   }
 }
 
-/** 403 BAD REQUEST error. */
+/** 403 FORBIDDEN error: logged in, but not allowed. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Forbidden") {
     super(message, 403);
   }
 }
 
+/** 409 CONFLICT error. */
+
+class ConflictError extends ExpressError {
+  constructor(message = "Conflict") {
+    super(message, 409);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error; retryAfter is how many seconds to wait. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter = null) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
+  TooManyRequestsError,
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+"use strict";
+
+/** Sending email.
+ *
+ * A mailer is any object with an async send({ to, subject, text }) method.
+ *
+ * The app uses whichever mailer was last passed to setMailer; by default
+ * mail isn't sent at all but kept in the mail_outbox table, where it can be
+ * read in development and checked in tests. Deployments that send real mail
+ * set their own mailer at startup.
+ */
+
+const db = require("../db");
+
+/** Mailer keeping each message in the mail_outbox table. */
+
+class OutboxMailer {
+  async send({ to, subject, text }) {
+    await db.query(
+          `INSERT INTO mail_outbox (recipient, subject, body)
+           VALUES ($1, $2, $3)`,
+        [to, subject, text],
+    );
+  }
+
+  /** Messages sent to recipient, newest first:
+   * [{ to, subject, text, createdAt }, ...]
+   */
+
+  async sentTo(recipient) {
+    const result = await db.query(
+          `SELECT recipient AS "to",
+                  subject,
+                  body AS "text",
+                  created_at AS "createdAt"
+           FROM mail_outbox
+           WHERE recipient = $1
+           ORDER BY id DESC`,
+        [recipient],
+    );
+    return result.rows;
+  }
+}
+
+let mailer = new OutboxMailer();
+
+function getMailer() {
+  return mailer;
+}
+
+function setMailer(newMailer) {
+  mailer = newMailer;
+}
+
+module.exports = {
+  OutboxMailer,
+  getMailer,
+  setMailer,
+};
@@ -0,0 +1,44 @@
+"use strict";
+
+const db = require("../db");
+const { OutboxMailer, getMailer, setMailer } = require("./mailer");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("OutboxMailer", function () {
+  test("keeps sent mail in the outbox", async function () {
+    const mailer = new OutboxMailer();
+    await mailer.send({ to: "a@b.com", subject: "Hi", text: "First" });
+    await mailer.send({ to: "a@b.com", subject: "Hi again", text: "Second" });
+    await mailer.send({ to: "c@d.com", subject: "Other", text: "Other" });
+
+    expect(await mailer.sentTo("a@b.com")).toEqual([
+      { to: "a@b.com", subject: "Hi again", text: "Second", createdAt: expect.any(Date) },
+      { to: "a@b.com", subject: "Hi", text: "First", createdAt: expect.any(Date) },
+    ]);
+  });
+});
+
+describe("getMailer and setMailer", function () {
+  test("default to OutboxMailer", function () {
+    expect(getMailer() instanceof OutboxMailer).toBeTruthy();
+  });
+
+  test("swap the mailer", function () {
+    const original = getMailer();
+    const other = { send: jest.fn() };
+    setMailer(other);
+    expect(getMailer()).toBe(other);
+    setMailer(original);
+  });
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+/** Helpers for paginating collection routes. */
+
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 20;
+
+/** Accepts the (validated) page & limit query parameters and returns
+ * { page, limit, offset }, falling back to the first page of DEFAULT_LIMIT.
+ *
+ * { page: 3, limit: 10 } => { page: 3, limit: 10, offset: 20 }
+ */
+
+function getPagination({ page = 1, limit = DEFAULT_LIMIT } = {}) {
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/** Build a link to another page of the current request, keeping its other
+ * query parameters.
+ */
+
+function pageLink(req, page, limit) {
+  const path = req.originalUrl.split("?")[0];
+  const params = new URLSearchParams({ ...req.query, page, limit });
+  return `${path}?${params}`;
+}
+
+/** Accepts the request and { page, limit, total } and returns the pagination
+ * envelope for the response:
+ *
+ * { total, page, limit, next, prev }
+ *   where next & prev are links to the neighbouring pages, or null if there
+ *   is no such page.
+ */
+
+function paginationEnvelope(req, { page, limit, total }) {
+  return {
+    total,
+    page,
+    limit,
+    next: page * limit < total ? pageLink(req, page + 1, limit) : null,
+    prev: page > 1 ? pageLink(req, page - 1, limit) : null,
+  };
+}
+
+/** Encode the sort key values of the last row of a page as an opaque cursor
+ * for keyset pagination.
+ *
+ * ["engineer", 7] => "WyJlbmdpbmVlciIsN10"
+ */
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+/** Is val of type, as for decodeCursor? */
+
+function hasType(val, type) {
+  if (type === "integer") return Number.isSafeInteger(val);
+  return typeof val === type;
+}
+
+/** Decode a cursor made by encodeCursor, checking it holds values of the
+ * expected types (as given by typeof, or "integer" for a safe integer, e.g.
+ * an id: the database would reject 1.5 or 1e20).
+ *
+ * ("WyJlbmdpbmVlciIsN10", ["string", "integer"]) => ["engineer", 7]
+ *
+ * Throws BadRequestError if the cursor is malformed.
+ */
+
+function decodeCursor(cursor, types) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  if (!Array.isArray(values)
+      || values.length !== types.length
+      || values.some((val, idx) => !hasType(val, types[idx]))) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  return values;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  getPagination,
+  paginationEnvelope,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,71 @@
+/** Test pagination helper functions */
+
+const {
+    DEFAULT_LIMIT,
+    getPagination,
+    paginationEnvelope,
+    encodeCursor,
+    decodeCursor,
+} = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+describe("getPagination", () => {
+    test("Defaults to the first page.", () => {
+        expect(getPagination()).toEqual({ page: 1, limit: DEFAULT_LIMIT, offset: 0 });
+    });
+
+    test("Computes offset from page and limit.", () => {
+        expect(getPagination({ page: 3, limit: 10 })).toEqual({ page: 3, limit: 10, offset: 20 });
+    });
+});
+
+describe("paginationEnvelope", () => {
+    const req = { originalUrl: "/jobs?title=eng&page=2&limit=5", query: { title: "eng", page: "2", limit: "5" } };
+
+    test("Links to the next and previous pages, keeping the query.", () => {
+        expect(paginationEnvelope(req, { page: 2, limit: 5, total: 11 })).toEqual({
+            total: 11,
+            page: 2,
+            limit: 5,
+            next: "/jobs?title=eng&page=3&limit=5",
+            prev: "/jobs?title=eng&page=1&limit=5",
+        });
+    });
+
+    test("No next link on the last page.", () => {
+        expect(paginationEnvelope(req, { page: 2, limit: 5, total: 10 }).next).toBeNull();
+    });
+
+    test("No previous link on the first page.", () => {
+        expect(paginationEnvelope(req, { page: 1, limit: 5, total: 10 }).prev).toBeNull();
+    });
+});
+
+describe("cursors", () => {
+    test("Round trip through encodeCursor and decodeCursor.", () => {
+        const cursor = encodeCursor(["engineer", 7]);
+        expect(decodeCursor(cursor, ["string", "number"])).toEqual(["engineer", 7]);
+    });
+
+    test("Cursors are URL safe.", () => {
+        expect(encodeCursor(["???>>>", 1])).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test("Throws BadRequestError for garbage.", () => {
+        expect(() => decodeCursor("not-a-cursor", ["string", "number"])).toThrow(BadRequestError);
+    });
+
+    test("Throws BadRequestError for values of the wrong types.", () => {
+        const cursor = encodeCursor(["engineer", "7; DROP TABLE jobs"]);
+        expect(() => decodeCursor(cursor, ["string", "number"])).toThrow(BadRequestError);
+    });
+
+    test("Integers must be safe integers.", () => {
+        expect(decodeCursor(encodeCursor(["engineer", 7]), ["string", "integer"]))
+            .toEqual(["engineer", 7]);
+        for (const id of [1.5, 1e20]) {
+            const cursor = encodeCursor(["engineer", id]);
+            expect(() => decodeCursor(cursor, ["string", "integer"])).toThrow(BadRequestError);
+        }
+    });
+});
@@ -0,0 +1,160 @@
+"use strict";
+
+const config = require("../config");
+
+/** Permission policies: who can do what.
+ *
+ * Each role grants permissions, each with a scope saying which resources
+ * it covers:
+ *
+ *   any      every resource
+ *   self     resources belonging to the user: resource.username
+ *   company  resources of a company the user has the role at:
+ *            resource.companyHandle, checked against user.companies
+ *
+ * A user (a token payload, or undefined for anonymous requests) has these
+ * roles:
+ *
+ *   public     everyone, logged in or not
+ *   user       anyone logged in
+ *   recruiter  members of a company with that role (see company_members)
+ *   admin      users with isAdmin; if REQUIRE_ADMIN_2FA, only when they
+ *              logged in with a two-factor code (mfa)
+ *
+ * Routes declare the permission they require with authorize (see
+ * middleware/auth.js).
+ */
+
+const PERMISSIONS = [
+  "company:read",
+  "company:create",
+  "company:update",
+  "company:delete",
+  "member:read",
+  "member:create",
+  "member:delete",
+  "job:read",
+  "job:create",
+  "job:update",
+  "job:delete",
+  "search:read",
+  "user:list",
+  "user:read",
+  "user:create",
+  "user:update",
+  "user:delete",
+  "user:unlock",
+  // asking for another email verification link
+  "user:verify-email",
+  // enrolling in, enabling and disabling two-factor authentication
+  "user:two-factor",
+  "invitation:list",
+  "invitation:resend",
+  "invitation:revoke",
+  // applying, and seeing an application: its resume and history
+  "application:create",
+  "application:read",
+  // changing an application's state; only managers go beyond withdrawing
+  "application:update",
+  "application:withdraw",
+  "application:delete",
+  "application:manage",
+  // listing a job's applicants; their internal notes & ratings
+  "application:list",
+  "application:review",
+];
+
+const ROLE_PERMISSIONS = {
+  public: {
+    "company:read": "any",
+    "job:read": "any",
+    "search:read": "any",
+  },
+  user: {
+    "user:read": "self",
+    "user:update": "self",
+    "user:delete": "self",
+    "user:verify-email": "self",
+    "user:two-factor": "self",
+    "application:create": "self",
+    "application:read": "self",
+    "application:update": "self",
+    "application:withdraw": "self",
+  },
+  recruiter: {
+    "job:create": "company",
+    "job:update": "company",
+    "job:delete": "company",
+    "application:read": "company",
+    "application:update": "company",
+    "application:manage": "company",
+    "application:list": "company",
+    "application:review": "company",
+  },
+  admin: Object.fromEntries(PERMISSIONS.map(permission => [permission, "any"])),
+};
+
+const SCOPES = {
+  any: () => true,
+  self: (user, resource) =>
+    resource.username !== undefined && resource.username === user.username,
+  company: (user, resource, role) =>
+    Object.prototype.hasOwnProperty.call(user.companies || {}, resource.companyHandle)
+    && user.companies[resource.companyHandle] === role,
+};
+
+/** Does user get their admin role? See REQUIRE_ADMIN_2FA. */
+
+function isAdminSession(user) {
+  return Boolean(user.isAdmin && (!config.REQUIRE_ADMIN_2FA || user.mfa));
+}
+
+/** The roles user has (see above). */
+
+function rolesOf(user) {
+  if (!user) return ["public"];
+
+  const roles = ["public", "user"];
+  if (Object.values(user.companies || {}).includes("recruiter")) roles.push("recruiter");
+  if (isAdminSession(user)) roles.push("admin");
+  return roles;
+}
+
+/** The grants user's roles give for permission: [{ role, scope }, ...].
+ *
+ * Throws an Error for an unknown permission.
+ */
+
+function grantsFor(user, permission) {
+  if (!PERMISSIONS.includes(permission)) throw new Error(`Unknown permission: ${permission}`);
+
+  return rolesOf(user)
+      .filter(role => ROLE_PERMISSIONS[role][permission] !== undefined)
+      .map(role => ({ role, scope: ROLE_PERMISSIONS[role][permission] }));
+}
+
+/** Can user do permission on resource ({ username, companyHandle }, as far
+ * as it has them)? Without a resource, only "any" grants allow it.
+ */
+
+function can(user, permission, resource = {}) {
+  return grantsFor(user, permission)
+      .some(({ role, scope }) => SCOPES[scope](user, resource, role));
+}
+
+/** Is permission for admins only? */
+
+function isAdminOnly(permission) {
+  return Object.keys(ROLE_PERMISSIONS)
+      .every(role => role === "admin" || ROLE_PERMISSIONS[role][permission] === undefined);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  rolesOf,
+  isAdminSession,
+  grantsFor,
+  can,
+  isAdminOnly,
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+const {
+  rolesOf,
+  isAdminSession,
+  grantsFor,
+  can,
+  isAdminOnly,
+} = require("./policy");
+const config = require("../config");
+
+const user = { username: "u1", isAdmin: false, companies: {} };
+const admin = { username: "a1", isAdmin: true, companies: {} };
+const recruiter = { username: "r1", isAdmin: false, companies: { c1: "recruiter" } };
+
+describe("rolesOf", function () {
+  test("works", function () {
+    expect(rolesOf(undefined)).toEqual(["public"]);
+    expect(rolesOf(user)).toEqual(["public", "user"]);
+    expect(rolesOf(recruiter)).toEqual(["public", "user", "recruiter"]);
+    expect(rolesOf(admin)).toEqual(["public", "user", "admin"]);
+  });
+
+  test("works: tokens without companies", function () {
+    expect(rolesOf({ username: "u1", isAdmin: false })).toEqual(["public", "user"]);
+  });
+});
+
+describe("isAdminSession", function () {
+  afterEach(function () {
+    config.REQUIRE_ADMIN_2FA = false;
+  });
+
+  test("works", function () {
+    expect(isAdminSession(admin)).toEqual(true);
+    expect(isAdminSession(user)).toEqual(false);
+  });
+
+  test("works: two-factor login required", function () {
+    config.REQUIRE_ADMIN_2FA = true;
+    expect(isAdminSession(admin)).toEqual(false);
+    expect(isAdminSession({ ...admin, mfa: true })).toEqual(true);
+    expect(isAdminSession({ ...user, mfa: true })).toEqual(false);
+    expect(rolesOf(admin)).toEqual(["public", "user"]);
+  });
+});
+
+describe("grantsFor", function () {
+  test("works", function () {
+    expect(grantsFor(recruiter, "application:read")).toEqual([
+      { role: "user", scope: "self" },
+      { role: "recruiter", scope: "company" },
+    ]);
+    expect(grantsFor(user, "user:list")).toEqual([]);
+  });
+
+  test("throws for unknown permissions", function () {
+    expect(() => grantsFor(user, "job:fly")).toThrow("Unknown permission: job:fly");
+  });
+});
+
+describe("can", function () {
+  test("works: any scope", function () {
+    expect(can(undefined, "job:read")).toBeTruthy();
+    expect(can(admin, "user:list")).toBeTruthy();
+    expect(can(undefined, "job:create")).toBeFalsy();
+    expect(can(user, "user:list")).toBeFalsy();
+  });
+
+  test("works: self scope for the user's own account", function () {
+    expect(can(user, "user:verify-email", { username: "u1" })).toBeTruthy();
+    expect(can(user, "user:verify-email", { username: "u2" })).toBeFalsy();
+    expect(can(user, "user:two-factor", { username: "u1" })).toBeTruthy();
+    expect(can(user, "user:two-factor", { username: "u2" })).toBeFalsy();
+  });
+
+  test("works: self scope", function () {
+    expect(can(user, "user:read", { username: "u1" })).toBeTruthy();
+    expect(can(user, "user:read", { username: "u2" })).toBeFalsy();
+    expect(can(user, "user:read")).toBeFalsy();
+  });
+
+  test("works: company scope", function () {
+    expect(can(recruiter, "job:update", { companyHandle: "c1" })).toBeTruthy();
+    expect(can(recruiter, "job:update", { companyHandle: "c2" })).toBeFalsy();
+    expect(can(recruiter, "job:update")).toBeFalsy();
+    expect(can(user, "job:update", { companyHandle: "c1" })).toBeFalsy();
+  });
+
+  test("ignores inherited properties of companies", function () {
+    expect(can(recruiter, "job:update", { companyHandle: "constructor" })).toBeFalsy();
+  });
+
+  test("recruiters can't delete applications", function () {
+    expect(can(recruiter, "application:delete", { companyHandle: "c1" })).toBeFalsy();
+  });
+});
+
+describe("isAdminOnly", function () {
+  test("works", function () {
+    expect(isAdminOnly("user:list")).toBeTruthy();
+    expect(isAdminOnly("company:create")).toBeTruthy();
+    expect(isAdminOnly("user:read")).toBeFalsy();
+    expect(isAdminOnly("job:update")).toBeFalsy();
+  });
+});
@@ -0,0 +1,33 @@
+"use strict";
+
+/** Query string values always arrive as strings. This converts the values
+ * of a query to the types its JSON schema expects, so they can be validated:
+ *
+ * - integer & number properties: numeric strings become numbers
+ * - boolean properties: "true" & "false" become booleans
+ *
+ * Anything that can't be converted is left alone for the validator to reject.
+ *
+ * ({ minSalary: "40000", hasEquity: "true", title: "5" }, jobFilterSchema) =>
+ *   { minSalary: 40000, hasEquity: true, title: "5" }
+ */
+
+function parseQuery(query, schema) {
+  const parsed = { ...query };
+
+  for (const [key, val] of Object.entries(parsed)) {
+    const property = schema.properties[key];
+    if (!property || typeof val !== "string") continue;
+
+    if ((property.type === "integer" || property.type === "number")
+        && val.trim() !== "" && !isNaN(val)) {
+      parsed[key] = +val;
+    } else if (property.type === "boolean" && (val === "true" || val === "false")) {
+      parsed[key] = val === "true";
+    }
+  }
+
+  return parsed;
+}
+
+module.exports = { parseQuery };
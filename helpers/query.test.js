@@ -0,0 +1,35 @@
+/** Test parseQuery function */
+
+const { parseQuery } = require("./query");
+
+const schema = {
+    properties: {
+        minSalary: { type: "integer" },
+        minEquity: { type: "number" },
+        hasEquity: { type: "boolean" },
+        title: { type: "string" },
+    }
+};
+
+describe("parseQuery", () => {
+    test("Converts values to the types the schema expects.", () => {
+        const query = { minSalary: "40000", minEquity: "0.5", hasEquity: "false", title: "5" };
+        expect(parseQuery(query, schema)).toEqual({
+            minSalary: 40000,
+            minEquity: 0.5,
+            hasEquity: false,
+            title: "5",
+        });
+    });
+
+    test("Leaves values it can't convert for the validator.", () => {
+        const query = { minSalary: "money", minEquity: "", hasEquity: "yes", other: "1" };
+        expect(parseQuery(query, schema)).toEqual(query);
+    });
+
+    test("Does not change the original query.", () => {
+        const query = { minSalary: "40000" };
+        parseQuery(query, schema);
+        expect(query).toEqual({ minSalary: "40000" });
+    });
+});
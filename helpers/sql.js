@@ -1,5 +1,4 @@
 const { BadRequestError } = require("../expressError");
-// const { REJECTEDVALUES } = require("../config");
 
 /** 
  * This function accepts two parameters: the json request data (dataToUpdate),
@@ -33,36 +32,185 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-/** Accepts a JSON object of one or more query paramaters and returns string with column names and values formatted for a SQL filter query.
- * 
- * If a query parameter is not in the accepted list of queries, throw BadRequestError. 
- * If the minEmployees value is greater or equal to maxEmployees value, throw BadRequestError.
- * 
- * { name: 'anderson', minEmployees: '200', maxEmployees: '5000' } => "lower(name) LIKE '%anderson%' AND num_employees >= 200 AND num_employees <= 5000"
+/** Operators a model's filter whitelist may map a query parameter to.
+ *
+ * Each operator builds a SQL condition from a trusted column expression and a
+ * bind placeholder; the query value itself only ever travels as a bind
+ * parameter. `value` optionally transforms the query value before binding.
+ * `flag` operators take no parameter and only apply when the value is true.
+ */
+
+const FILTER_OPERATORS = {
+  eq: { sql: (col, $) => `${col} = ${$}` },
+  gte: { sql: (col, $) => `${col} >= ${$}` },
+  lte: { sql: (col, $) => `${col} <= ${$}` },
+  contains: {
+    sql: (col, $) => `${col} ILIKE ${$} ESCAPE '\\'`,
+    value: (val) => `%${escapeLike(String(val))}%`,
+  },
+  oneOf: {
+    sql: (col, $) => `${col} = ANY(${$})`,
+    value: (val) => splitList(val),
+  },
+  nonZero: { flag: true, sql: (col) => `${col} > 0` },
+};
+
+/** Escape the LIKE wildcards (% and _) and the escape character itself, so
+ * user input only ever matches literally.
+ *
+ * "100%_off" => "100\%\_off"
+ */
+
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/** A list filter value may be an array or a comma-separated string.
+ *
+ * "c1, c2,,c3" => ["c1", "c2", "c3"]
  */
 
+function splitList(val) {
+  const items = Array.isArray(val) ? val : String(val).split(",");
+  return items.map(item => String(item).trim()).filter(item => item !== "");
+}
+
+/** Query values arrive as strings; flags are on for true or "true". */
 
-function sqlForFilterQueries(queries) {
+function isTrue(val) {
+  return val === true || val === "true";
+}
+
+/** Accepts the query parameters and a model's whitelist of filters, and
+ * returns the list of SQL conditions and their bind values.
+ *
+ * filters maps each allowed query parameter to { column, op } where column is
+ * the SQL expression to filter on and op a key of FILTER_OPERATORS.
+ *
+ * Placeholders are numbered from startIdx, so the conditions can be embedded
+ * in a query that already binds other values.
+ *
+ * If a query parameter is not in the whitelist, throw BadRequestError.
+ * If a minimum (gte) is larger than the maximum (lte) on the same column,
+ * throw BadRequestError.
+ *
+ * ({ name: "and", minEmployees: 200 }, companyFilters) =>
+ *   { conditions: ["name ILIKE $1 ESCAPE '\'", "num_employees >= $2"],
+ *     values: ["%and%", 200] }
+ */
+
+function sqlForConditions(queries, filters, startIdx = 1) {
   const keys = Object.keys(queries);
 
-  //if minEmployees & maxEmployees confirm min is not larger than max, if not throw error
-  if (keys.includes('minEmployees') && keys.includes('maxEmployees')) {
-    if (+queries['minEmployees'] >= +queries['maxEmployees']) throw new BadRequestError("minEmployees cannot be larger than maxEmployees");
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(filters, key)) {
+      throw new BadRequestError(`Invalid filter: ${key}`);
+    }
   }
 
-  //build query string based on param type and value
-  const queryString = keys.map((colName) => {
-      if (colName === 'minEmployees' || colName === 'maxEmployees') {
-      return (colName === 'minEmployees') ? `num_employees >= ${+queries[colName]}` : `num_employees <= ${+queries[colName]}`
-    } else if (colName === 'minSalary') {
-      return `salary >= ${+queries[colName]}`
-    } else if (colName === 'hasEquity') {
-      return "equity > 0"
+  //confirm no minimum is larger than its maximum, if not throw error
+  for (const minKey of keys) {
+    if (filters[minKey].op !== "gte") continue;
+    const maxKey = keys.find(key =>
+        filters[key].op === "lte" && filters[key].column === filters[minKey].column);
+    if (maxKey && +queries[minKey] > +queries[maxKey]) {
+      throw new BadRequestError(`${minKey} cannot be larger than ${maxKey}`);
     }
-    return `lower(${colName}) LIKE '%${queries[colName].toLowerCase()}%'`
+  }
+
+  const conditions = [];
+  const values = [];
+
+  for (const key of keys) {
+    const { column, op } = filters[key];
+    const operator = FILTER_OPERATORS[op];
+    if (!operator) throw new Error(`Unknown filter operator: ${op}`);
+
+    if (operator.flag) {
+      if (isTrue(queries[key])) conditions.push(operator.sql(column));
+      continue;
     }
-  );
-  return queryString.join(' AND ')
+
+    values.push(operator.value ? operator.value(queries[key]) : queries[key]);
+    conditions.push(operator.sql(column, `$${startIdx + values.length - 1}`));
+  }
+
+  return { conditions, values };
+}
+
+/** Accepts the query parameters and a model's whitelist of filters, and
+ * returns a parameterized WHERE clause (empty if nothing filters) and the
+ * values to bind to it.
+ *
+ * ({ name: "and", minEmployees: 200 }, companyFilters) =>
+ *   { whereClause: "WHERE name ILIKE $1 ESCAPE '\' AND num_employees >= $2",
+ *     values: ["%and%", 200] }
+ */
+
+function sqlForFilter(queries, filters, startIdx = 1) {
+  const { conditions, values } = sqlForConditions(queries, filters, startIdx);
+
+  return {
+    whereClause: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    values,
+  };
+}
+
+/** Accepts { limit, offset } and returns a parameterized LIMIT/OFFSET clause
+ * (empty if there is no limit) and the values to bind to it.
+ *
+ * Placeholders are numbered from startIdx, so the clause can follow a WHERE
+ * clause that already binds values.
+ *
+ * ({ limit: 20, offset: 40 }, 3) => { limitClause: "LIMIT $3 OFFSET $4", values: [20, 40] }
+ */
+
+function sqlForPagination({ limit, offset = 0 } = {}, startIdx = 1) {
+  if (limit === undefined) return { limitClause: "", values: [] };
+
+  return {
+    limitClause: `LIMIT $${startIdx} OFFSET $${startIdx + 1}`,
+    values: [limit, offset],
+  };
+}
+
+/** Accepts a sort query parameter and a model's whitelist of sortable fields,
+ * and returns an ORDER BY clause.
+ *
+ * sort is a comma-separated list of fields, each prefixed with "-" to sort
+ * descending; it falls back to defaultSort when not given. sortable maps each
+ * allowed field to the (trusted) SQL column to sort on. tiebreaker is a
+ * unique column always sorted on last, so pages never overlap. Nulls always
+ * sort last.
+ *
+ * If a field is not in the whitelist, throw BadRequestError.
+ *
+ * ("-salary,title", { salary: "salary", title: "title" }, "title", "id") =>
+ *   "ORDER BY salary DESC NULLS LAST, title, id"
+ */
+
+function sqlForSort(sort, sortable, defaultSort, tiebreaker) {
+  const fields = (sort || defaultSort).split(",");
+
+  const cols = fields.map((field) => {
+    const desc = field.startsWith("-");
+    const name = desc ? field.slice(1) : field;
+    if (!Object.prototype.hasOwnProperty.call(sortable, name)) {
+      throw new BadRequestError(`Cannot sort by: ${name}`);
+    }
+    return desc ? `${sortable[name]} DESC NULLS LAST` : sortable[name];
+  });
+
+  if (!cols.some(col => col.split(" ")[0] === tiebreaker)) cols.push(tiebreaker);
+
+  return `ORDER BY ${cols.join(", ")}`;
 }
 
-module.exports = { sqlForPartialUpdate, sqlForFilterQueries };
\ No newline at end of file
+module.exports = {
+  sqlForPartialUpdate,
+  sqlForConditions,
+  sqlForFilter,
+  sqlForPagination,
+  sqlForSort,
+  escapeLike,
+};
@@ -1,6 +1,13 @@
-/** Test sqlForPartialUpdate function */
-
-const { sqlForPartialUpdate, sqlForFilterQueries } = require("./sql");
+/** Test SQL helper functions */
+
+const {
+    sqlForPartialUpdate,
+    sqlForConditions,
+    sqlForFilter,
+    sqlForPagination,
+    sqlForSort,
+    escapeLike,
+} = require("./sql");
 const { BadRequestError } = require("../expressError");
 
 describe("Generate SQL from JSON data for partial updates.", () => {
@@ -58,57 +65,136 @@ describe("Generate SQL from JSON data for partial updates.", () => {
     });
 });
 
-describe("Generate SQL queryString from JSON data for filter search.", () => {
+describe("Generate parameterized SQL from query parameters for filter search.", () => {
 
-    let allowed = ['name', 'minEmployees', 'maxEmployees', 'title', 'minSalary', 'hasEquity'];
+    const filters = {
+        name: { column: "name", op: "contains" },
+        minEmployees: { column: "num_employees", op: "gte" },
+        maxEmployees: { column: "num_employees", op: "lte" },
+        handle: { column: "handle", op: "eq" },
+        hasEquity: { column: "equity", op: "nonZero" },
+        companyHandle: { column: "company_handle", op: "oneOf" },
+    };
 
-    test("Returns queryString for valid query parameters.", () => {
+    test("Returns whereClause and values for valid query parameters.", () => {
         let queries = { name: 'anderson', minEmployees: '200', maxEmployees: '5000' };
-        expect(sqlForFilterQueries(queries)).toEqual("lower(name) LIKE '%anderson%' AND num_employees >= 200 AND num_employees <= 5000");
-
+        expect(sqlForFilter(queries, filters)).toEqual({
+            whereClause: "WHERE name ILIKE $1 ESCAPE '\\' AND num_employees >= $2 AND num_employees <= $3",
+            values: ["%anderson%", "200", "5000"]
+        });
     });
 
-    test("Returns correct query string for name parameter.", () => {
-        let queries = { name: 'llc' };
-        expect(sqlForFilterQueries(queries)).toEqual("lower(name) LIKE '%llc%'");
+    test("Returns empty whereClause for no query parameters.", () => {
+        expect(sqlForFilter({}, filters)).toEqual({ whereClause: "", values: [] });
     });
 
-    test("Returns correct query string for name parameter in lowercase.", () => {
-        let queries = { name: 'AnDeRSON' };
-        expect(sqlForFilterQueries(queries)).toEqual("lower(name) LIKE '%anderson%'");
+    test("Never puts query values in the SQL.", () => {
+        let queries = { name: "x'; DROP TABLE companies; --", handle: "1 OR 1=1" };
+        const { whereClause, values } = sqlForFilter(queries, filters);
+        expect(whereClause).toEqual("WHERE name ILIKE $1 ESCAPE '\\' AND handle = $2");
+        expect(values).toEqual(["%x'; DROP TABLE companies; --%", "1 OR 1=1"]);
     });
 
-    test("Returns correct query string for minEmployees parameter.", () => {
-        let queries = { minEmployees: '100' };
-        expect(sqlForFilterQueries(queries)).toEqual("num_employees >= 100");
+    test("Escapes LIKE wildcards in contains values.", () => {
+        let queries = { name: '100%_off\\' };
+        expect(sqlForFilter(queries, filters).values).toEqual(["%100\\%\\_off\\\\%"]);
     });
 
-    test("Returns correct query string for maxEmployees parameter.", () => {
-        let queries = { maxEmployees: '7000' };
-        expect(sqlForFilterQueries(queries)).toEqual("num_employees <= 7000");
+    test("Adds flag conditions only when true.", () => {
+        expect(sqlForFilter({ hasEquity: "true" }, filters)).toEqual({
+            whereClause: "WHERE equity > 0",
+            values: []
+        });
+        expect(sqlForFilter({ hasEquity: false }, filters)).toEqual({
+            whereClause: "",
+            values: []
+        });
     });
 
-    test("returns correct query string for title", async () => {
-        let queries = { title: "jr. engineer" };
-        expect(sqlForFilterQueries(queries)).toEqual("lower(title) LIKE '%jr. engineer%'");
+    test("Splits list values for oneOf filters.", () => {
+        expect(sqlForFilter({ companyHandle: "c1, c2" }, filters)).toEqual({
+            whereClause: "WHERE company_handle = ANY($1)",
+            values: [["c1", "c2"]]
+        });
+        expect(sqlForFilter({ companyHandle: ["c3"] }, filters).values).toEqual([["c3"]]);
     });
 
-    test("returns correct query string for minSalary", async () => {
-        let queries = { minSalary: "50000" };
-        expect(sqlForFilterQueries(queries)).toEqual("salary >= 50000");
+    test("Numbers placeholders from startIdx.", () => {
+        let queries = { handle: "c1", minEmployees: 3 };
+        expect(sqlForConditions(queries, filters, 3)).toEqual({
+            conditions: ["handle = $3", "num_employees >= $4"],
+            values: ["c1", 3]
+        });
     });
 
-    test("returns correct query string for hasEquity true", async () => {
-        let queries = { hasEquity: "true" };
-        expect(sqlForFilterQueries(queries)).toEqual("equity > 0");
+    test("Allows minEmployees equal to maxEmployees.", () => {
+        let queries = { minEmployees: '300', maxEmployees: '300' };
+        expect(sqlForFilter(queries, filters).values).toEqual(["300", "300"]);
     });
 
     test("Throws BadRequestError if minEmployees value is greater than maxEmployees value.", () => {
+        expect.assertions(1);
         try {
             let queries = { name: 'llc', minEmployees: '400', maxEmployees: '300' };
-            sqlForFilterQueries(queries);
+            sqlForFilter(queries, filters);
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("Throws BadRequestError for a query parameter not in the whitelist.", () => {
+        expect.assertions(1);
+        try {
+            sqlForFilter({ "name; DROP TABLE companies": "x" }, filters);
         } catch (err) {
             expect(err instanceof BadRequestError).toBeTruthy();
         }
     });
-});
\ No newline at end of file
+});
+
+describe("Generate parameterized SQL for pagination.", () => {
+    test("Returns LIMIT/OFFSET clause numbered from startIdx.", () => {
+        expect(sqlForPagination({ limit: 20, offset: 40 }, 3)).toEqual({
+            limitClause: "LIMIT $3 OFFSET $4",
+            values: [20, 40]
+        });
+    });
+
+    test("Returns empty clause without a limit.", () => {
+        expect(sqlForPagination({})).toEqual({ limitClause: "", values: [] });
+    });
+});
+
+describe("Generate ORDER BY clause from sort parameter.", () => {
+
+    const sortable = { salary: "salary", title: "title", id: "id" };
+
+    test("Sorts on the given fields, descending with a '-' prefix.", () => {
+        expect(sqlForSort("-salary,title", sortable, "title", "id"))
+            .toEqual("ORDER BY salary DESC NULLS LAST, title, id");
+    });
+
+    test("Falls back to the default sort.", () => {
+        expect(sqlForSort(undefined, sortable, "title", "id"))
+            .toEqual("ORDER BY title, id");
+    });
+
+    test("Does not repeat the tiebreaker.", () => {
+        expect(sqlForSort("-id", sortable, "title", "id"))
+            .toEqual("ORDER BY id DESC NULLS LAST");
+    });
+
+    test("Throws BadRequestError for a field not in the whitelist.", () => {
+        expect(() => sqlForSort("password", sortable, "title", "id")).toThrow(BadRequestError);
+    });
+});
+
+describe("Escape LIKE wildcards.", () => {
+    test("Escapes %, _ and backslash.", () => {
+        expect(escapeLike("a%b_c\\d")).toEqual("a\\%b\\_c\\\\d");
+    });
+
+    test("Leaves other characters alone.", () => {
+        expect(escapeLike("jr. engineer")).toEqual("jr. engineer");
+    });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+/** Storage for uploaded files.
+ *
+ * A storage is any object with these async methods, each taking the key a
+ * file is stored under:
+ *
+ *   save(key, data)  stores data (a Buffer), replacing any file under key
+ *   read(key)        returns the stored Buffer; throws NotFoundError if none
+ *   remove(key)      deletes the file; it's not an error if there is none
+ *
+ * The app uses whichever storage was last passed to setStorage; by default
+ * files are kept on local disk, under UPLOAD_DIR.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { NotFoundError } = require("../expressError");
+const { UPLOAD_DIR } = require("../config");
+
+/** Storage keeping each file in a directory on local disk. */
+
+class LocalDiskStorage {
+  constructor(root) {
+    this.root = root;
+  }
+
+  /** Path of the file for key; keys can't point outside root. */
+
+  pathFor(key) {
+    return path.join(this.root, path.basename(key));
+  }
+
+  async save(key, data) {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    await fs.promises.writeFile(this.pathFor(key), data);
+  }
+
+  async read(key) {
+    try {
+      return await fs.promises.readFile(this.pathFor(key));
+    } catch (err) {
+      if (err.code === "ENOENT") throw new NotFoundError(`No file: ${key}`);
+      throw err;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+}
+
+let storage = new LocalDiskStorage(UPLOAD_DIR);
+
+function getStorage() {
+  return storage;
+}
+
+function setStorage(newStorage) {
+  storage = newStorage;
+}
+
+/** A new, unguessable key to store a file under. */
+
+function createStorageKey() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+module.exports = {
+  LocalDiskStorage,
+  getStorage,
+  setStorage,
+  createStorageKey,
+};
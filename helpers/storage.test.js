@@ -0,0 +1,72 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { NotFoundError } = require("../expressError");
+const {
+  LocalDiskStorage,
+  getStorage,
+  setStorage,
+  createStorageKey,
+} = require("./storage");
+
+let root;
+let storage;
+
+beforeEach(function () {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-storage-"));
+  storage = new LocalDiskStorage(path.join(root, "files"));
+});
+
+afterEach(function () {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("LocalDiskStorage", function () {
+  test("saves and reads files", async function () {
+    await storage.save("abc", Buffer.from("hello"));
+    expect((await storage.read("abc")).toString()).toEqual("hello");
+  });
+
+  test("replaces files saved under the same key", async function () {
+    await storage.save("abc", Buffer.from("hello"));
+    await storage.save("abc", Buffer.from("bye"));
+    expect((await storage.read("abc")).toString()).toEqual("bye");
+  });
+
+  test("removes files", async function () {
+    await storage.save("abc", Buffer.from("hello"));
+    await storage.remove("abc");
+    await storage.remove("abc");
+    try {
+      await storage.read("abc");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("keeps keys inside its directory", async function () {
+    await storage.save("../escaped", Buffer.from("hello"));
+    expect(fs.existsSync(path.join(root, "escaped"))).toBe(false);
+    expect(fs.existsSync(path.join(root, "files", "escaped"))).toBe(true);
+  });
+});
+
+describe("getStorage/setStorage", function () {
+  test("works", function () {
+    const original = getStorage();
+    expect(original instanceof LocalDiskStorage).toBe(true);
+    setStorage(storage);
+    expect(getStorage()).toBe(storage);
+    setStorage(original);
+  });
+});
+
+describe("createStorageKey", function () {
+  test("creates unique keys", function () {
+    expect(createStorageKey()).toMatch(/^[0-9a-f]{32}$/);
+    expect(createStorageKey()).not.toEqual(createStorageKey());
+  });
+});
@@ -1,7 +1,17 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_TTL } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data.
+ *
+ * The payload carries the user's company memberships as companies:
+ * { companyHandle: role, ... } (see User.authenticate).
+ *
+ * mfa says whether the login gave a two-factor code (see TwoFactor).
+ *
+ * The token expires after ACCESS_TOKEN_TTL seconds; besides iat and exp it
+ * has a unique id, jti. See verifyToken.
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +20,42 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    companies: user.companies || {},
+    mfa: user.mfa || false,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
 }
 
-module.exports = { createToken };
+/** return the payload of a JWT made by createToken.
+ *
+ * Throws if the token is invalid or expired, or lacks any of the iat, exp
+ * and jti claims (tokens from before they expired don't have them).
+ */
+
+function verifyToken(token) {
+  const payload = jwt.verify(token, SECRET_KEY, { algorithms: ["HS256"] });
+  if (!payload.iat || !payload.exp || !payload.jti) {
+    throw new jwt.JsonWebTokenError("token lacks iat, exp or jti");
+  }
+  return payload;
+}
+
+/** return a new random token, for handing out where a JWT won't do (e.g.
+ * refresh tokens). Store it with hashToken, never as is.
+ */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return the hash of an opaque token, as stored in the database. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, verifyToken, createOpaqueToken, hashToken };
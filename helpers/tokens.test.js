@@ -1,15 +1,39 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
-const { SECRET_KEY } = require("../config");
+const {
+  createToken,
+  verifyToken,
+  createOpaqueToken,
+  hashToken,
+} = require("./tokens");
+const { SECRET_KEY, ACCESS_TOKEN_TTL } = require("../config");
 
 describe("createToken", function () {
+  test("works: company memberships", function () {
+    const token = createToken({ username: "test", isAdmin: false, companies: { c1: "recruiter" } });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      username: "test",
+      isAdmin: false,
+      companies: { c1: "recruiter" },
+      mfa: false,
+    });
+  });
+
+
   test("works: not admin", function () {
     const token = createToken({ username: "test", is_admin: false });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      companies: {},
+      mfa: false,
     });
   });
 
@@ -18,8 +42,12 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: true,
+      companies: {},
+      mfa: false,
     });
   });
 
@@ -29,8 +57,59 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      companies: {},
+      mfa: false,
     });
   });
+
+  test("works: expires", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const { iat, exp } = jwt.verify(token, SECRET_KEY);
+    expect(exp - iat).toEqual(ACCESS_TOKEN_TTL);
+  });
+
+  test("works: unique ids", function () {
+    const user = { username: "test", isAdmin: false };
+    expect(jwt.decode(createToken(user)).jti)
+        .not.toEqual(jwt.decode(createToken(user)).jti);
+  });
+});
+
+describe("verifyToken", function () {
+  test("works", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    expect(verifyToken(token).username).toEqual("test");
+  });
+
+  test("throws for expired tokens", function () {
+    const token = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY,
+        { expiresIn: -1, jwtid: "id" });
+    expect(() => verifyToken(token)).toThrow("jwt expired");
+  });
+
+  test("throws for tokens without exp or jti", function () {
+    const noExp = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, { jwtid: "id" });
+    expect(() => verifyToken(noExp)).toThrow();
+    const noJti = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, { expiresIn: 60 });
+    expect(() => verifyToken(noJti)).toThrow();
+  });
+
+  test("throws for tokens signed with another key", function () {
+    const token = jwt.sign({ username: "test", isAdmin: false }, "wrong",
+        { expiresIn: 60, jwtid: "id" });
+    expect(() => verifyToken(token)).toThrow();
+  });
+});
+
+describe("createOpaqueToken and hashToken", function () {
+  test("works", function () {
+    const token = createOpaqueToken();
+    expect(token).not.toEqual(createOpaqueToken());
+    expect(hashToken(token)).toEqual(hashToken(token));
+    expect(hashToken(token)).not.toEqual(token);
+  });
 });
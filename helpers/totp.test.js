@@ -0,0 +1,72 @@
+"use strict";
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  verifyTotp,
+  otpauthUri,
+} = require("./totp");
+
+// the SHA1 key from RFC 6238's test vectors
+const rfcSecret = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("works", function () {
+    expect(rfcSecret).toEqual("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(base32Decode(rfcSecret).toString()).toEqual("12345678901234567890");
+  });
+
+  test("throws for invalid characters", function () {
+    expect(() => base32Decode("AB1")).toThrow();
+  });
+});
+
+describe("totp", function () {
+  test("matches RFC 6238", function () {
+    // RFC 6238 gives 8 digit codes; these are their last 6 digits
+    expect(totp(rfcSecret, 59 * 1000)).toEqual("287082");
+    expect(totp(rfcSecret, 1111111109 * 1000)).toEqual("081804");
+    expect(totp(rfcSecret, 1234567890 * 1000)).toEqual("005924");
+  });
+});
+
+describe("verifyTotp", function () {
+  const time = 1234567890 * 1000;
+
+  test("works, returning the time step", function () {
+    expect(verifyTotp(rfcSecret, "005924", time)).toEqual(41152263);
+  });
+
+  test("allows a step of clock drift", function () {
+    expect(verifyTotp(rfcSecret, "005924", time + 30 * 1000)).toEqual(41152263);
+    expect(verifyTotp(rfcSecret, "005924", time + 60 * 1000)).toBeNull();
+  });
+
+  test("null for wrong codes", function () {
+    expect(verifyTotp(rfcSecret, "000000", time)).toBeNull();
+    expect(verifyTotp(rfcSecret, "5924", time)).toBeNull();
+  });
+
+  test("null for things that aren't codes", function () {
+    expect(verifyTotp(rfcSecret, "éééééé", time)).toBeNull();
+    expect(verifyTotp(rfcSecret, "00592a", time)).toBeNull();
+    expect(verifyTotp(rfcSecret, "0059245", time)).toBeNull();
+  });
+});
+
+describe("generateSecret", function () {
+  test("works", function () {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(secret).not.toEqual(generateSecret());
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri("ABC", "u1")).toEqual(
+        "otpauth://totp/Jobly:u1?secret=ABC&issuer=Jobly&algorithm=SHA1&digits=6&period=30");
+  });
+});
@@ -13,7 +13,14 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  -- two-factor authentication (see TwoFactor): the TOTP secret, set on
+  -- enrolling but only in use once enabled, and the last time step a code
+  -- was accepted for, so codes can't be replayed
+  totp_secret TEXT,
+  totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  totp_last_step INTEGER
 );
 
 CREATE TABLE jobs (
@@ -25,13 +32,187 @@ CREATE TABLE jobs (
     REFERENCES companies ON DELETE CASCADE
 );
 
-CREATE TYPE app_state AS ENUM ('applied', 'accepted', 'rejected');
+-- refresh tokens, stored hashed. Logging in starts a family of tokens that
+-- each refresh carries on; reusing a token that was already used revokes
+-- the whole family
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  family_id UUID NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  -- whether the login passed two-factor authentication
+  mfa BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX refresh_tokens_family_idx ON refresh_tokens (family_id);
+
+-- single-use backup codes for two-factor authentication, stored hashed
+CREATE TABLE backup_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX backup_codes_username_idx ON backup_codes (username);
+
+-- logins waiting on a two-factor code: the password was right, and the
+-- challenge token (stored hashed) stands in for it in the second step
+CREATE TABLE login_challenges (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+-- failed logins, counted per username and per IP address (kind); while
+-- locked_until is in the future, logins for the key are refused
+CREATE TABLE login_throttles (
+  kind TEXT NOT NULL CHECK (kind IN ('username', 'ip')),
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (kind, key)
+);
+
+CREATE INDEX login_throttles_last_failure_at_idx ON login_throttles (last_failure_at);
+
+-- single-use tokens for resetting a forgotten password, stored hashed
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+-- single-use tokens mailed to verify a user's email, stored hashed; email is
+-- the address mailed, so the token is no good once the user changes it
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+-- accounts admins have invited people to; the user is only created when
+-- the invitee accepts, with a single-use link token stored hashed
+CREATE TABLE invitations (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  email TEXT NOT NULL
+    CHECK (position('@' IN email) > 1),
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  invited_by VARCHAR(25)
+    REFERENCES users ON DELETE SET NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- at most one open invitation per username
+CREATE UNIQUE INDEX invitations_open_username_idx ON invitations (username)
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+-- mail "sent" by OutboxMailer (see helpers/mailer.js)
+CREATE TABLE mail_outbox (
+  id SERIAL PRIMARY KEY,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TYPE member_role AS ENUM ('recruiter');
+
+-- users who work for a company, and what they can do for it
+CREATE TABLE company_members (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  role member_role NOT NULL DEFAULT 'recruiter',
+  PRIMARY KEY (username, company_handle)
+);
+
+-- full-text search indexes; queries must use these exact expressions
+CREATE INDEX companies_search_idx ON companies
+  USING GIN ((setweight(to_tsvector('english', name), 'A') ||
+              setweight(to_tsvector('english', description), 'B')));
+
+CREATE INDEX jobs_search_idx ON jobs
+  USING GIN ((setweight(to_tsvector('english', title), 'A')));
+
+CREATE TYPE app_state AS ENUM
+  ('applied', 'screening', 'interviewing', 'offered', 'accepted', 'rejected', 'withdrawn');
 
 CREATE TABLE applications (
-  app_state TEXT,
+  app_state app_state NOT NULL DEFAULT 'applied',
   username VARCHAR(25)
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cover_letter TEXT,
+  -- the uploaded resume: its key in file storage, and what was uploaded
+  resume_key TEXT,
+  resume_filename TEXT,
+  resume_content_type TEXT,
+  resume_size INTEGER,
+  -- internal to admins: never shown to candidates
+  rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
   PRIMARY KEY (username, job_id)
-);
\ No newline at end of file
+);
+
+-- every state change of an application; from_state is NULL for the
+-- event that created it
+CREATE TABLE application_events (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state app_state,
+  to_state app_state NOT NULL,
+  actor VARCHAR(25) NOT NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE INDEX application_events_application_idx
+  ON application_events (username, job_id);
+
+-- internal to admins: never shown to candidates
+CREATE TABLE application_notes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  author VARCHAR(25) NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE INDEX application_notes_application_idx
+  ON application_notes (username, job_id);
\ No newline at end of file
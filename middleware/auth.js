@@ -2,9 +2,14 @@
 
 /** Convenience middleware to handle common auth cases in routes. */
 
-const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const {
+  can,
+  grantsFor,
+  isAdminOnly,
+  isAdminSession,
+} = require("../helpers/policy");
+const { verifyToken } = require("../helpers/tokens");
 
 
 /** Middleware: Authenticate user.
@@ -12,7 +17,8 @@ const { UnauthorizedError } = require("../expressError");
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
- * It's not an error if no token was provided or if the token is not valid.
+ * It's not an error if no token was provided or if the token is not valid
+ * (see verifyToken: that includes expired tokens).
  */
 
 function authenticateJWT(req, res, next) {
@@ -20,7 +26,7 @@ function authenticateJWT(req, res, next) {
     const authHeader = req.headers && req.headers.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      res.locals.user = verifyToken(token);
     }
     return next();
   } catch (err) {
@@ -42,30 +48,45 @@ function ensureLoggedIn(req, res, next) {
   }
 }
 
-/** Middleware to check if the logged in user has admin credentials, or
- * if the request contains a username parameter that matches the current logged in user.
+/** Middleware factory: only let in users with permission (see
+ * helpers/policy.js), e.g. authorize("job:update", jobResource).
  *
- * If not, raises Unauthorized.
+ * loadResource(req, res) returns (or resolves to) the resource the request
+ * is for, { username, companyHandle }, for permissions scoped to the user's own
+ * resources or companies. It's only called when the user's roles have such
+ * a grant, so it's not run for requests that can't succeed anyway.
+ *
+ * If not logged in, raises Unauthorized; if logged in but not allowed,
+ * raises Forbidden (saying so if they're an admin who'd be allowed after
+ * logging in with a two-factor code; see REQUIRE_ADMIN_2FA).
  */
 
-function isAuthorized(req, res, next) {
-  try {
-    //if there is a username in params
-    if (req.params.username) {
-      if (res.locals.user.username !== req.params.username && !res.locals.user.isAdmin) throw new UnauthorizedError("User is not authorized");
-      return next();
-    } else {
-      //there is no username in params
-      if (!res.locals.user.isAdmin) throw new UnauthorizedError("Not an admin.");
+function authorize(permission, loadResource = () => ({})) {
+  // fail when routes are defined, not when they're first requested
+  grantsFor(undefined, permission);
+
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (can(user, permission)) return next();
+      if (!user) throw new UnauthorizedError();
+
+      let message = isAdminOnly(permission) ? "Not an admin." : "User is not authorized";
+      if (user.isAdmin && !isAdminSession(user)) {
+        message = "Admins must log in with two-factor authentication";
+      }
+      const denied = new ForbiddenError(message);
+      if (grantsFor(user, permission).length === 0) throw denied;
+      if (!can(user, permission, await loadResource(req, res))) throw denied;
       return next();
+    } catch (err) {
+      return next(err);
     }
-  } catch (err) {
-   return next(err);
- }
+  };
 }
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
-  isAuthorized,
+  authorize,
 };
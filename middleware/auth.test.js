@@ -1,18 +1,23 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
-  isAuthorized
+  authorize,
 } = require("./auth");
 
 
-const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const testAdminJwt = jwt.sign({ username: "testAdmin", isAdmin: true }, SECRET_KEY);
+const config = require("../config");
+const { SECRET_KEY } = config;
+const { createToken } = require("../helpers/tokens");
+const testJwt = createToken({ username: "test", isAdmin: false });
+const testAdminJwt = createToken({ username: "testAdmin", isAdmin: true });
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY,
+    { expiresIn: -1, jwtid: "id" });
+const neverExpiringJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
 
 
 describe("authenticateJWT", function () {
@@ -29,8 +34,12 @@ describe("authenticateJWT", function () {
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
+        exp: expect.any(Number),
+        jti: expect.any(String),
         username: "test",
         isAdmin: false,
+        companies: {},
+        mfa: false,
       },
     });
   });
@@ -46,8 +55,12 @@ describe("authenticateJWT", function () {
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
+        exp: expect.any(Number),
+        jti: expect.any(String),
         username: "testAdmin",
         isAdmin: true,
+        companies: {},
+        mfa: false,
       },
     });
   });
@@ -73,6 +86,28 @@ describe("authenticateJWT", function () {
     authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: expired token", function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without exp or jti", function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${neverExpiringJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
 });
 
 
@@ -108,45 +143,108 @@ describe("ensureLoggedIn", function () {
   });
 });
 
-describe("isAuthorized", () => {
-  test("works for admin", () => {
-    expect.assertions(1);
-    const req = { params: {}};
-    const res = { locals: { user: { username: "testAdmin", isAdmin: true } } };
-    const next = function (err) {
-      expect(err).toBeFalsy();
-    };
-    isAuthorized(req, res, next);
+describe("authorize", function () {
+  const user = { username: "test", isAdmin: false };
+  const admin = { username: "testAdmin", isAdmin: true };
+  const recruiter = { username: "r", isAdmin: false, companies: { c1: "recruiter" } };
+
+  test("works for admin", async function () {
+    const next = jest.fn();
+    const loadResource = jest.fn();
+    await authorize("user:list", loadResource)({}, { locals: { user: admin } }, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(loadResource).not.toHaveBeenCalled();
   });
 
-  test("works for current user matching request user", () => {
-    expect.assertions(1);
-    const req = { params: { username: "test"}};
-    const res = { locals: { user: { username: "test", isAdmin: false } } };
-    const next = function (err) {
-      expect(err).toBeFalsy();
-    };
-    isAuthorized(req, res, next);
+  test("works for the user's own resource", async function () {
+    const next = jest.fn();
+    const loadResource = async () => ({ username: "test" });
+    await authorize("user:read", loadResource)({}, { locals: { user } }, next);
+    expect(next).toHaveBeenCalledWith();
   });
 
-  test("unauthorized if not admin", () => {
-    expect.assertions(1);
-    const req = { params: {}};
-    const res = { locals: { user: { username: "test", isAdmin: false } } };
-    const next = function (err) {
-      expect(err instanceof UnauthorizedError).toBeTruthy();
-    };
-    isAuthorized(req, res, next);
+  test("works for recruiter of the company", async function () {
+    const next = jest.fn();
+    const loadResource = async () => ({ companyHandle: "c1" });
+    await authorize("job:update", loadResource)({}, { locals: { user: recruiter } }, next);
+    expect(next).toHaveBeenCalledWith();
   });
 
-  test("unauthorized if current user does not match request user", () => {
-    expect.assertions(1);
-    const req = { params: { username: "testTest"}};
-    const res = { locals: { user: { username: "test", isAdmin: false } } };
-    const next = function (err) {
-      expect(err instanceof UnauthorizedError).toBeTruthy();
-    };
-    isAuthorized(req, res, next);
+  test("works for public permissions without login", async function () {
+    const next = jest.fn();
+    await authorize("job:read")({}, { locals: {} }, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("forbidden for another user's resource", async function () {
+    const next = jest.fn();
+    const loadResource = async () => ({ username: "other" });
+    await authorize("user:read", loadResource)({}, { locals: { user } }, next);
+    const err = next.mock.calls[0][0];
+    expect(err instanceof ForbiddenError).toBeTruthy();
+    expect(err.message).toEqual("User is not authorized");
   });
 
+  test("forbidden for recruiter of another company", async function () {
+    const next = jest.fn();
+    const loadResource = async () => ({ companyHandle: "c2" });
+    await authorize("job:update", loadResource)({}, { locals: { user: recruiter } }, next);
+    expect(next.mock.calls[0][0] instanceof ForbiddenError).toBeTruthy();
+  });
+
+  test("forbidden for admin-only permissions", async function () {
+    const next = jest.fn();
+    const loadResource = jest.fn();
+    await authorize("user:list", loadResource)({}, { locals: { user } }, next);
+    const err = next.mock.calls[0][0];
+    expect(err instanceof ForbiddenError).toBeTruthy();
+    expect(err.message).toEqual("Not an admin.");
+    expect(loadResource).not.toHaveBeenCalled();
+  });
+
+  test("forbidden for admins without two-factor login if required", async function () {
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      const next = jest.fn();
+      await authorize("user:list")({}, { locals: { user: admin } }, next);
+      const err = next.mock.calls[0][0];
+      expect(err instanceof ForbiddenError).toBeTruthy();
+      expect(err.message).toEqual("Admins must log in with two-factor authentication");
+
+      const mfaNext = jest.fn();
+      await authorize("user:list")({}, { locals: { user: { ...admin, mfa: true } } }, mfaNext);
+      expect(mfaNext).toHaveBeenCalledWith();
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+
+  test("unauth if no login", async function () {
+    const next = jest.fn();
+    const loadResource = jest.fn();
+    await authorize("user:read", loadResource)({}, { locals: {} }, next);
+    expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+    expect(loadResource).not.toHaveBeenCalled();
+  });
+
+  test("loads the resource from the request and response", async function () {
+    const next = jest.fn();
+    const res = { locals: { user } };
+    const loadResource = jest.fn((req, res) => ({ username: res.locals.user.username }));
+    await authorize("user:read", loadResource)({}, res, next);
+    expect(loadResource).toHaveBeenCalledWith({}, res);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("passes on errors loading the resource", async function () {
+    const next = jest.fn();
+    const notFound = new Error("not found");
+    const loadResource = async () => { throw notFound; };
+    await authorize("job:update", loadResource)({}, { locals: { user: recruiter } }, next);
+    expect(next).toHaveBeenCalledWith(notFound);
+  });
+
+  test("throws for unknown permissions", function () {
+    expect(() => authorize("job:fly")).toThrow("Unknown permission: job:fly");
+  });
 });
@@ -0,0 +1,56 @@
+"use strict";
+
+/** Middleware for routes accepting file uploads. */
+
+const multer = require("multer");
+const { BadRequestError } = require("../expressError");
+
+/** Resume file types we accept, with the bytes each file must start with. */
+
+const RESUME_TYPES = {
+  "application/pdf": Buffer.from("%PDF-"),
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+      Buffer.from("PK\x03\x04", "binary"),
+};
+
+const MAX_RESUME_SIZE = 5 * 1024 * 1024;
+
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RESUME_SIZE, files: 1 },
+  fileFilter(req, file, cb) {
+    if (!RESUME_TYPES[file.mimetype]) {
+      return cb(new BadRequestError("Resume must be a PDF or DOCX file"));
+    }
+    return cb(null, true);
+  },
+}).single("resume");
+
+/** Middleware: accept an optional resume in a multipart/form-data request.
+ *
+ * The file (field "resume", PDF or DOCX, at most 5MB) is kept in memory as
+ * req.file; the other fields become req.body. Requests that aren't
+ * multipart pass through untouched.
+ *
+ * If the file isn't acceptable, raises BadRequest.
+ */
+
+function uploadResume(req, res, next) {
+  resumeUpload(req, res, function (err) {
+    if (err instanceof multer.MulterError) return next(new BadRequestError(err.message));
+    if (err) return next(err);
+
+    // don't trust the declared type alone: check the file's contents match
+    if (req.file) {
+      const signature = RESUME_TYPES[req.file.mimetype];
+      if (!req.file.buffer.subarray(0, signature.length).equals(signature)) {
+        return next(new BadRequestError("Resume must be a PDF or DOCX file"));
+      }
+    }
+    return next();
+  });
+}
+
+module.exports = {
+  uploadResume,
+};
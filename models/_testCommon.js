@@ -2,7 +2,13 @@ const bcrypt = require("bcrypt");
 
 const db = require("../db.js");
 const { BCRYPT_WORK_FACTOR } = require("../config");
+const { NotFoundError } = require("../expressError");
+const { getStorage, setStorage } = require("../helpers/storage");
+const { getMailer } = require("../helpers/mailer");
+const { totp } = require("../helpers/totp");
+const TwoFactor = require("./twoFactor");
 let testJobs = [];
+const defaultStorage = getStorage();
 
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
@@ -23,9 +29,10 @@ async function commonBeforeAll() {
                           password,
                           first_name,
                           last_name,
-                          email)
-        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com'),
-               ('u2', $2, 'U2F', 'U2L', 'u2@email.com')
+                          email,
+                          email_verified)
+        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com', TRUE),
+               ('u2', $2, 'U2F', 'U2L', 'u2@email.com', TRUE)
         RETURNING username`,
       [
         await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
@@ -46,6 +53,10 @@ async function commonBeforeAll() {
     `INSERT INTO applications(username, job_id)
       VALUES ('u1', '${testJobs[0].rows[0].id}'),
              ('u2', '${testJobs[1].rows[0].id}')`);
+
+  await db.query(
+    `INSERT INTO application_events(username, job_id, to_state, actor)
+      SELECT username, job_id, app_state, username FROM applications`);
 }
 
 async function commonBeforeEach() {
@@ -54,6 +65,61 @@ async function commonBeforeEach() {
 
 async function commonAfterEach() {
   await db.query("ROLLBACK");
+  setStorage(defaultStorage);
+}
+
+/** The token in the latest link mailed to email (see helpers/mailer). */
+
+async function mailedToken(email) {
+  const [mail] = await getMailer().sentTo(email);
+  return mail.text.match(/token=([\w-]+)/)[1];
+}
+
+/** secret's TOTP code some 30 second steps from now: each step's code works
+ * once, so tests needing several codes take them from successive steps.
+ */
+
+function codeAt(secret, steps) {
+  return totp(secret, Date.now() + steps * 30 * 1000);
+}
+
+/** Enroll username in two-factor authentication and enable it; the code for
+ * the step before now is used up.
+ *
+ * Returns { secret, backupCodes }
+ */
+
+async function enableTwoFactor(username) {
+  const { secret } = await TwoFactor.enroll(username);
+  const { backupCodes } = await TwoFactor.enable(username, codeAt(secret, -1));
+  return { secret, backupCodes };
+}
+
+/** A resume upload, as from multer (see Application.storeResume). */
+
+const testResume = {
+  originalname: "resume.pdf",
+  mimetype: "application/pdf",
+  size: 13,
+  buffer: Buffer.from("%PDF-1.4 test"),
+};
+
+/** Keep uploaded files in memory, for the rest of the current test.
+ *
+ * Returns the stored files: a Map of key => data.
+ */
+
+function useMemoryStorage() {
+  const files = new Map();
+  setStorage({
+    async save(key, data) { files.set(key, data); },
+    async read(key) {
+      if (!files.has(key)) throw new NotFoundError(`No file: ${key}`);
+      return files.get(key);
+    },
+    async remove(key) { files.delete(key); },
+  });
+  return files;
 }
 
 async function commonAfterAll() {
@@ -66,5 +132,10 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  useMemoryStorage,
+  mailedToken,
+  codeAt,
+  enableTwoFactor,
+  testResume,
   testJobs
 };
\ No newline at end of file
@@ -0,0 +1,471 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForConditions, sqlForSort } = require("../helpers/sql");
+const { getStorage, createStorageKey } = require("../helpers/storage");
+const { can } = require("../helpers/policy");
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} = require("../expressError");
+
+/** The application pipeline: each state, and the states it can move to.
+ *
+ * applied → screening → interviewing → offered → accepted
+ * Until it is accepted, an application can also be rejected or withdrawn.
+ */
+
+const TRANSITIONS = {
+  applied: ["screening", "rejected", "withdrawn"],
+  screening: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** The states a candidate can move their own application to; every other
+ * change is up to an admin or a recruiter for the job's company.
+ */
+
+const CANDIDATE_STATES = ["withdrawn"];
+
+/** Query parameters a job's applicants can be filtered on, and the SQL they
+ * map to.
+ */
+
+const APPLICANT_FILTERS = {
+  state: { column: "a.app_state", op: "oneOf" },
+};
+
+/** Fields a job's applicants can be sorted on, and the SQL columns they map to. */
+
+const APPLICANT_SORTS = {
+  appliedAt: "a.applied_at",
+  updatedAt: "a.updated_at",
+  username: "a.username",
+};
+
+/** Related functions for job applications. */
+
+class Application {
+  /** Can an application move from one state to another? */
+
+  static canTransition(from, to) {
+    return TRANSITIONS[from] !== undefined && TRANSITIONS[from].includes(to);
+  }
+
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, appliedAt, updatedAt, coverLetter, resume }
+   *   where resume is { filename, contentType, size }, or null if none was uploaded
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(username, jobId) {
+    const result = await db.query(
+          `SELECT username,
+                  job_id AS "jobId",
+                  app_state AS "state",
+                  applied_at AS "appliedAt",
+                  updated_at AS "updatedAt",
+                  cover_letter AS "coverLetter",
+                  CASE WHEN resume_key IS NULL THEN NULL
+                       ELSE json_build_object('filename', resume_filename,
+                                              'contentType', resume_content_type,
+                                              'size', resume_size)
+                  END AS "resume"
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+    const application = result.rows[0];
+
+    if (!application) throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+
+    return application;
+  }
+
+  /** Given a job id, return everyone who applied to it, optionally narrowed
+   * by filters.
+   *
+   * filters (all optional):
+   * - state: a state, or a comma-separated list of states (e.g. "applied,screening")
+   *
+   * sort is a comma-separated list of appliedAt, updatedAt & username, each
+   * prefixed with "-" for descending. Defaults to appliedAt, oldest first.
+   *
+   * Returns [{ username, firstName, lastName, email, state, appliedAt, updatedAt, coverLetter, rating }, ...]
+   *
+   * Includes the internal rating, so is for admins and recruiters only.
+   *
+   * Throws NotFoundError if the job is not found.
+   **/
+
+  static async findForJob(jobId, filters = {}, sort) {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE id = $1`, [jobId]);
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    const { conditions, values } = sqlForConditions(filters, APPLICANT_FILTERS, 2);
+    const orderClause = sqlForSort(sort, APPLICANT_SORTS, "appliedAt", "a.username");
+
+    const result = await db.query(
+          `SELECT a.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  a.app_state AS "state",
+                  a.applied_at AS "appliedAt",
+                  a.updated_at AS "updatedAt",
+                  a.cover_letter AS "coverLetter",
+                  a.rating
+           FROM applications AS a
+                JOIN users AS u ON u.username = a.username
+           WHERE ${["a.job_id = $1", ...conditions].join(" AND ")}
+           ${orderClause}`,
+        [jobId, ...values]);
+
+    return result.rows;
+  }
+
+  /** Given a list of usernames, return their applications with the job and
+   * company applied to, oldest first.
+   *
+   * Returns [{ username, id, title, companyHandle, companyName, salary, state, appliedAt, updatedAt }, ...]
+   *   where id is the job id
+   **/
+
+  static async findForUsers(usernames) {
+    const result = await db.query(
+          `SELECT a.username,
+                  j.id,
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  j.salary,
+                  a.app_state AS "state",
+                  a.applied_at AS "appliedAt",
+                  a.updated_at AS "updatedAt"
+           FROM applications AS a
+                JOIN jobs AS j ON j.id = a.job_id
+                JOIN companies AS c ON c.handle = j.company_handle
+           WHERE a.username = ANY($1)
+           ORDER BY a.applied_at, j.id`,
+        [usernames]);
+
+    return result.rows;
+  }
+
+  /** Move an application to a new state, on behalf of actor.
+   *
+   * actor is the logged in user making the change: { username, isAdmin, companies }.
+   * Candidates can only withdraw (see CANDIDATE_STATES); admins, and
+   * recruiters for the job's company, can make any change the pipeline allows
+   * (see TRANSITIONS). The change, with the
+   * optional note, is recorded in the application's history.
+   *
+   * Returns the updated application, as in get.
+   *
+   * Throws NotFoundError if the application is not found, ForbiddenError
+   * if a candidate attempts an admin-only change, and BadRequestError if the
+   * pipeline doesn't allow the change.
+   **/
+
+  static async updateState(username, jobId, state, actor, note = null) {
+    const application = await Application.get(username, jobId);
+
+    if (!CANDIDATE_STATES.includes(state) && !can(actor, "application:manage")) {
+      const jobRes = await db.query(
+            `SELECT company_handle AS "companyHandle" FROM jobs WHERE id = $1`, [jobId]);
+      if (!can(actor, "application:manage", jobRes.rows[0])) {
+        throw new ForbiddenError(`Only an admin or recruiter can move an application to ${state}`);
+      }
+    }
+    if (!Application.canTransition(application.state, state)) {
+      throw new BadRequestError(`Cannot move application from ${application.state} to ${state}`);
+    }
+
+    // only update from the state checked above, in case it changed meanwhile
+    const result = await db.query(
+          `WITH application AS (
+             UPDATE applications
+             SET app_state = $1, updated_at = NOW()
+             WHERE username = $2 AND job_id = $3 AND app_state = $4
+             RETURNING username, job_id, app_state
+           ), event AS (
+             INSERT INTO application_events
+               (username, job_id, from_state, to_state, actor, note)
+               SELECT username, job_id, $4, app_state, $5, $6 FROM application
+           )
+           SELECT username FROM application`,
+        [state, username, jobId, application.state, actor.username, note]);
+
+    if (!result.rows[0]) throw new BadRequestError("Application changed meanwhile, try again");
+
+    return Application.get(username, jobId);
+  }
+
+  /** Move several applicants to a job to a new state at once, on behalf of
+   * actor (an admin or recruiter; see updateState for the rules each change
+   * follows).
+   *
+   * Every change the pipeline allows is made, and recorded in the history,
+   * in a single statement; the others are left as they were.
+   *
+   * Returns a result per username, in the order given:
+   *   [{ username, success: true, fromState, state }, ...]
+   *   or { username, success: false, error } for changes that weren't made
+   *
+   * Throws NotFoundError if the job is not found.
+   **/
+
+  static async updateStates(jobId, usernames, state, actor, note = null) {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE id = $1`, [jobId]);
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    const currentRes = await db.query(
+          `SELECT username, app_state AS "state"
+           FROM applications
+           WHERE job_id = $1 AND username = ANY($2)`,
+        [jobId, usernames]);
+    const current = new Map(currentRes.rows.map(a => [a.username, a.state]));
+
+    const results = new Map();
+    const changes = [];
+    for (const username of usernames) {
+      if (results.has(username)) continue;
+      const fromState = current.get(username);
+      if (fromState === undefined) {
+        results.set(username, { username, success: false, error: "No application" });
+      } else if (!Application.canTransition(fromState, state)) {
+        results.set(username, {
+          username,
+          success: false,
+          error: `Cannot move application from ${fromState} to ${state}`,
+        });
+      } else {
+        results.set(username, { username, success: true, fromState, state });
+        changes.push({ username, fromState });
+      }
+    }
+
+    // as in updateState, only update from the states checked above
+    const updatedRes = await db.query(
+          `WITH change AS (
+             SELECT * FROM unnest($3::text[], $4::app_state[]) AS c(username, from_state)
+           ), application AS (
+             UPDATE applications AS a
+             SET app_state = $2, updated_at = NOW()
+             FROM change
+             WHERE a.job_id = $1
+               AND a.username = change.username
+               AND a.app_state = change.from_state
+             RETURNING a.username, a.job_id, change.from_state, a.app_state
+           ), event AS (
+             INSERT INTO application_events
+               (username, job_id, from_state, to_state, actor, note)
+               SELECT username, job_id, from_state, app_state, $5, $6 FROM application
+           )
+           SELECT username FROM application`,
+        [
+          jobId,
+          state,
+          changes.map(c => c.username),
+          changes.map(c => c.fromState),
+          actor.username,
+          note,
+        ]);
+    const updated = new Set(updatedRes.rows.map(a => a.username));
+
+    for (const { username } of changes) {
+      if (!updated.has(username)) {
+        results.set(username, {
+          username,
+          success: false,
+          error: "Application changed meanwhile, try again",
+        });
+      }
+    }
+
+    return [...results.values()];
+  }
+
+  /** Given a username and job id, return the application's history, oldest
+   * first.
+   *
+   * With forCandidate, it's the candidate's view: notes by anyone else (i.e.
+   * admins and recruiters moving the application) are internal, so they're
+   * null.
+   *
+   * Returns [{ fromState, toState, actor, note, createdAt }, ...]
+   *   where fromState is null for the event that created the application
+   *
+   * Throws NotFoundError if the application is not found.
+   **/
+
+  static async history(username, jobId, { forCandidate = false } = {}) {
+    await Application.get(username, jobId);
+
+    const result = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  actor,
+                  CASE WHEN $3 AND actor IS DISTINCT FROM username THEN NULL
+                       ELSE note
+                  END AS "note",
+                  created_at AS "createdAt"
+           FROM application_events
+           WHERE username = $1 AND job_id = $2
+           ORDER BY created_at, id`,
+        [username, jobId, forCandidate]);
+
+    return result.rows;
+  }
+
+  /** Given a username and job id, return the application along with its
+   * internal review: its rating and notes. For admins and recruiters only.
+   *
+   * Returns { ...application as in get, rating, notes }
+   *   where notes is [{ id, author, body, createdAt }, ...], oldest first
+   *
+   * Throws NotFoundError if the application is not found.
+   **/
+
+  static async getWithReview(username, jobId) {
+    const application = await Application.get(username, jobId);
+
+    const ratingRes = await db.query(
+          `SELECT rating
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+    const notesRes = await db.query(
+          `SELECT id, author, body, created_at AS "createdAt"
+           FROM application_notes
+           WHERE username = $1 AND job_id = $2
+           ORDER BY created_at, id`,
+        [username, jobId]);
+
+    return { ...application, rating: ratingRes.rows[0].rating, notes: notesRes.rows };
+  }
+
+  /** Add an internal note by author (an admin's username) to an application.
+   *
+   * Returns { id, author, body, createdAt }
+   *
+   * Throws NotFoundError if the application is not found.
+   **/
+
+  static async addNote(username, jobId, author, body) {
+    await Application.get(username, jobId);
+
+    const result = await db.query(
+          `INSERT INTO application_notes (username, job_id, author, body)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id, author, body, created_at AS "createdAt"`,
+        [username, jobId, author, body]);
+
+    return result.rows[0];
+  }
+
+  /** Set the internal rating of an application: 1 to 5, or null to clear it.
+   *
+   * Returns the rating.
+   *
+   * Throws NotFoundError if the application is not found.
+   **/
+
+  static async rate(username, jobId, rating) {
+    const result = await db.query(
+          `UPDATE applications
+           SET rating = $1
+           WHERE username = $2 AND job_id = $3
+           RETURNING rating`,
+        [rating, username, jobId]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+
+    return result.rows[0].rating;
+  }
+
+  /** Keep an uploaded resume in file storage (see helpers/storage), under a
+   * new key, ready for a new application (see User.apply).
+   *
+   * file is { originalname, mimetype, size, buffer }, as from multer.
+   *
+   * Returns { key, filename, contentType, size }
+   **/
+
+  static async storeResume(file) {
+    const key = createStorageKey();
+    await getStorage().save(key, file.buffer);
+    return {
+      key,
+      filename: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+    };
+  }
+
+  /** Given a username and job id, return the application's resume.
+   *
+   * Returns { filename, contentType, data }
+   *   where data is a Buffer of the file's contents
+   *
+   * Throws NotFoundError if the application is not found or has no resume.
+   **/
+
+  static async getResume(username, jobId) {
+    await Application.get(username, jobId);
+
+    const result = await db.query(
+          `SELECT resume_key AS "key",
+                  resume_filename AS "filename",
+                  resume_content_type AS "contentType"
+           FROM applications
+           WHERE username = $1 AND job_id = $2 AND resume_key IS NOT NULL`,
+        [username, jobId]);
+    const resume = result.rows[0];
+
+    if (!resume) throw new NotFoundError(`No resume: ${username}, job ${jobId}`);
+
+    const data = await getStorage().read(resume.key);
+    return { filename: resume.filename, contentType: resume.contentType, data };
+  }
+
+  /** Delete the resume files stored under keys, e.g. once the applications
+   * they were attached to are deleted along with their user, job or company.
+   **/
+
+  static async removeResumeFiles(keys) {
+    for (const key of keys) await getStorage().remove(key);
+  }
+
+  /** Delete an application, along with its history and resume.
+   *
+   * This erases it entirely; candidates withdraw instead (see updateState).
+   *
+   * Returns undefined.
+   *
+   * Throws NotFoundError if the application is not found.
+   **/
+
+  static async remove(username, jobId) {
+    const result = await db.query(
+          `DELETE
+           FROM applications
+           WHERE username = $1 AND job_id = $2
+           RETURNING resume_key AS "resumeKey"`,
+        [username, jobId]);
+    const application = result.rows[0];
+
+    if (!application) throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+
+    if (application.resumeKey) await getStorage().remove(application.resumeKey);
+  }
+}
+
+
+module.exports = Application;
@@ -0,0 +1,488 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+} = require("../expressError");
+const Application = require("./application.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  useMemoryStorage,
+  testResume,
+  testJobs,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const admin = { username: "admin", isAdmin: true };
+const candidate = { username: "u1", isAdmin: false };
+
+/************************************** canTransition */
+
+describe("canTransition", function () {
+  test("follows the pipeline", function () {
+    expect(Application.canTransition("applied", "screening")).toBe(true);
+    expect(Application.canTransition("screening", "interviewing")).toBe(true);
+    expect(Application.canTransition("interviewing", "offered")).toBe(true);
+    expect(Application.canTransition("offered", "accepted")).toBe(true);
+  });
+
+  test("can reject or withdraw until accepted", function () {
+    expect(Application.canTransition("interviewing", "rejected")).toBe(true);
+    expect(Application.canTransition("offered", "withdrawn")).toBe(true);
+    expect(Application.canTransition("accepted", "withdrawn")).toBe(false);
+  });
+
+  test("can't skip or go back", function () {
+    expect(Application.canTransition("applied", "offered")).toBe(false);
+    expect(Application.canTransition("interviewing", "screening")).toBe(false);
+    expect(Application.canTransition("rejected", "applied")).toBe(false);
+    expect(Application.canTransition("nope", "applied")).toBe(false);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const application = await Application.get("u1", testJobs[0].rows[0].id);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobs[0].rows[0].id,
+      state: "applied",
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      coverLetter: null,
+      resume: null,
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u1", testJobs[2].rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForJob */
+
+describe("findForJob", function () {
+  test("works", async function () {
+    const applications = await Application.findForJob(testJobs[0].rows[0].id);
+    expect(applications).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        state: "applied",
+        appliedAt: expect.any(Date),
+        updatedAt: expect.any(Date),
+        coverLetter: null,
+        rating: null,
+      },
+    ]);
+  });
+
+  test("works: filter by state", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await db.query(
+          `INSERT INTO applications (username, job_id, app_state)
+           VALUES ('u2', $1, 'offered')`,
+        [jobId]);
+    const offered = await Application.findForJob(jobId, { state: "offered" });
+    expect(offered.map(a => a.username)).toEqual(["u2"]);
+    const either = await Application.findForJob(jobId, { state: "applied,offered" });
+    expect(either.map(a => a.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("works: sort by date", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await db.query(
+          `INSERT INTO applications (username, job_id, applied_at)
+           VALUES ('u2', $1, '2020-01-01')`,
+        [jobId]);
+    const oldest = await Application.findForJob(jobId);
+    expect(oldest.map(a => a.username)).toEqual(["u2", "u1"]);
+    const newest = await Application.findForJob(jobId, {}, "-appliedAt");
+    expect(newest.map(a => a.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.findForJob(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUsers */
+
+describe("findForUsers", function () {
+  test("works", async function () {
+    const applications = await Application.findForUsers(["u1", "u2", "nope"]);
+    expect(applications).toEqual([
+      {
+        username: "u1",
+        id: testJobs[0].rows[0].id,
+        title: "manager",
+        companyHandle: "c1",
+        companyName: "C1",
+        salary: 65000,
+        state: "applied",
+        appliedAt: expect.any(Date),
+        updatedAt: expect.any(Date),
+      },
+      {
+        username: "u2",
+        id: testJobs[1].rows[0].id,
+        title: "engineer",
+        companyHandle: "c2",
+        companyName: "C2",
+        salary: 80000,
+        state: "applied",
+        appliedAt: expect.any(Date),
+        updatedAt: expect.any(Date),
+      },
+    ]);
+  });
+});
+
+/************************************** updateState */
+
+describe("updateState", function () {
+  test("works for admin", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    const application = await Application.updateState("u1", jobId, "screening", admin);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "screening",
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      coverLetter: null,
+      resume: null,
+    });
+
+    const result = await db.query(
+          `SELECT app_state FROM applications WHERE username = 'u1' AND job_id = $1`,
+        [jobId]);
+    expect(result.rows[0].app_state).toEqual("screening");
+  });
+
+  test("records the change in the history", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await Application.updateState("u1", jobId, "screening", admin, "Looks good");
+    const history = await Application.history("u1", jobId);
+    expect(history[1]).toEqual({
+      fromState: "applied",
+      toState: "screening",
+      actor: "admin",
+      note: "Looks good",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works for candidate withdrawing", async function () {
+    const application = await Application.updateState(
+        "u1", testJobs[0].rows[0].id, "withdrawn", candidate);
+    expect(application.state).toEqual("withdrawn");
+  });
+
+  test("works for recruiter of the job's company", async function () {
+    const recruiter = { username: "r", isAdmin: false, companies: { c1: "recruiter" } };
+    const application = await Application.updateState(
+        "u1", testJobs[0].rows[0].id, "screening", recruiter);
+    expect(application.state).toEqual("screening");
+  });
+
+  test("forbidden for recruiter of another company", async function () {
+    const recruiter = { username: "r", isAdmin: false, companies: { c2: "recruiter" } };
+    try {
+      await Application.updateState("u1", testJobs[0].rows[0].id, "screening", recruiter);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("forbidden for candidate moving on", async function () {
+    try {
+      await Application.updateState("u1", testJobs[0].rows[0].id, "screening", candidate);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("bad request for transition not in pipeline", async function () {
+    try {
+      await Application.updateState("u1", testJobs[0].rows[0].id, "accepted", admin);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.updateState("u1", testJobs[2].rows[0].id, "screening", admin);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateStates */
+
+describe("updateStates", function () {
+  test("works, reporting each username", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await db.query(
+          `INSERT INTO applications (username, job_id, app_state)
+           VALUES ('u2', $1, 'accepted')`,
+        [jobId]);
+
+    const results = await Application.updateStates(
+        jobId, ["u1", "u2", "nope", "u1"], "screening", admin, "First pass");
+    expect(results).toEqual([
+      { username: "u1", success: true, fromState: "applied", state: "screening" },
+      {
+        username: "u2",
+        success: false,
+        error: "Cannot move application from accepted to screening",
+      },
+      { username: "nope", success: false, error: "No application" },
+    ]);
+
+    expect((await Application.get("u1", jobId)).state).toEqual("screening");
+    expect((await Application.get("u2", jobId)).state).toEqual("accepted");
+    const history = await Application.history("u1", jobId);
+    expect(history[1]).toEqual({
+      fromState: "applied",
+      toState: "screening",
+      actor: "admin",
+      note: "First pass",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works when nothing can change", async function () {
+    const results = await Application.updateStates(
+        testJobs[0].rows[0].id, ["u2"], "screening", admin);
+    expect(results).toEqual([{ username: "u2", success: false, error: "No application" }]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.updateStates(0, ["u1"], "screening", admin);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** history */
+
+describe("history", function () {
+  test("works", async function () {
+    const history = await Application.history("u1", testJobs[0].rows[0].id);
+    expect(history).toEqual([
+      {
+        fromState: null,
+        toState: "applied",
+        actor: "u1",
+        note: null,
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("oldest first", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await Application.updateState("u1", jobId, "screening", admin);
+    await Application.updateState("u1", jobId, "rejected", admin, "Position filled");
+    const history = await Application.history("u1", jobId);
+    expect(history.map(e => e.toState)).toEqual(["applied", "screening", "rejected"]);
+  });
+
+  test("works: candidate's view hides other people's notes", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await Application.updateState("u1", jobId, "screening", admin, "Weak portfolio");
+    await Application.updateState("u1", jobId, "withdrawn", { username: "u1" }, "Took another offer");
+    const history = await Application.history("u1", jobId, { forCandidate: true });
+    expect(history.map(e => e.note)).toEqual([null, null, "Took another offer"]);
+
+    const full = await Application.history("u1", jobId);
+    expect(full.map(e => e.note)).toEqual([null, "Weak portfolio", "Took another offer"]);
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.history("u1", testJobs[2].rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** review */
+
+describe("getWithReview/addNote/rate", function () {
+  test("works", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    const note1 = await Application.addNote("u1", jobId, "admin", "Great portfolio");
+    expect(note1).toEqual({
+      id: expect.any(Number),
+      author: "admin",
+      body: "Great portfolio",
+      createdAt: expect.any(Date),
+    });
+    const note2 = await Application.addNote("u1", jobId, "admin2", "Agreed");
+    expect(await Application.rate("u1", jobId, 4)).toEqual(4);
+
+    const application = await Application.getWithReview("u1", jobId);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "applied",
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      coverLetter: null,
+      resume: null,
+      rating: 4,
+      notes: [note1, note2],
+    });
+  });
+
+  test("rating can be cleared", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await Application.rate("u1", jobId, 2);
+    expect(await Application.rate("u1", jobId, null)).toEqual(null);
+  });
+
+  test("review isn't part of the application", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await Application.addNote("u1", jobId, "admin", "Internal");
+    await Application.rate("u1", jobId, 1);
+    const application = await Application.get("u1", jobId);
+    expect(application.rating).toBeUndefined();
+    expect(application.notes).toBeUndefined();
+  });
+
+  test("not found if no such application", async function () {
+    const jobId = testJobs[2].rows[0].id;
+    for (const attempt of [
+      () => Application.getWithReview("u1", jobId),
+      () => Application.addNote("u1", jobId, "admin", "Hi"),
+      () => Application.rate("u1", jobId, 3),
+    ]) {
+      try {
+        await attempt();
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** resumes */
+
+describe("getResume", function () {
+  let files;
+
+  beforeEach(function () {
+    files = useMemoryStorage();
+  });
+
+  test("works", async function () {
+    const jobId = testJobs[2].rows[0].id;
+    await User.apply("u1", jobId, "u1", { resume: testResume });
+    expect(files.size).toEqual(1);
+
+    const application = await Application.get("u1", jobId);
+    expect(application.resume).toEqual({
+      filename: "resume.pdf",
+      contentType: "application/pdf",
+      size: testResume.size,
+    });
+
+    const downloaded = await Application.getResume("u1", jobId);
+    expect(downloaded).toEqual({
+      filename: "resume.pdf",
+      contentType: "application/pdf",
+      data: testResume.buffer,
+    });
+  });
+
+  test("removing the application removes its resume", async function () {
+    const jobId = testJobs[2].rows[0].id;
+    await User.apply("u1", jobId, "u1", { resume: testResume });
+    await Application.remove("u1", jobId);
+    expect(files.size).toEqual(0);
+  });
+
+  test("not found if no resume", async function () {
+    try {
+      await Application.getResume("u1", testJobs[0].rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.getResume("u1", testJobs[2].rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const jobId = testJobs[0].rows[0].id;
+    await Application.remove("u1", jobId);
+    const res = await db.query(
+          `SELECT * FROM application_events WHERE username = 'u1' AND job_id = $1`,
+        [jobId]);
+    expect(res.rows.length).toEqual(0);
+    try {
+      await Application.get("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.remove("u1", testJobs[2].rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -1,9 +1,74 @@
 "use strict";
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate, sqlForFilterQueries } = require("../helpers/sql");
- 
+const { BadRequestError, NotFoundError, ConflictError } = require("../expressError");
+const Application = require("./application");
+const {
+  sqlForPartialUpdate,
+  sqlForConditions,
+  sqlForPagination,
+  sqlForSort,
+} = require("../helpers/sql");
+
+/** Query parameters companies can be filtered on, and the SQL they map to.
+ *
+ * This is the whitelist used by sqlForCompanyFilter: nothing else reaches the query.
+ */
+
+const COMPANY_FILTERS = {
+  name: { column: "name", op: "contains" },
+  minEmployees: { column: "num_employees", op: "gte" },
+  maxEmployees: { column: "num_employees", op: "lte" },
+};
+
+/** Query parameters that filter companies on their jobs, and the SQL (on the
+ * jobs table, aliased j) they map to. hasOpenJobs is handled by
+ * sqlForCompanyFilter itself.
+ */
+
+const COMPANY_JOB_FILTERS = {
+  jobTitle: { column: "j.title", op: "contains" },
+  minSalary: { column: "j.salary", op: "gte" },
+};
+
+/** Build the parameterized WHERE clause for companies matching filters.
+ *
+ * The job filters must all hold for the same job ("hiring engineers at
+ * $120k+"), so they share a single EXISTS subquery on jobs.
+ *
+ * Returns { whereClause, values } like sqlForFilter.
+ */
+
+function sqlForCompanyFilter(filters) {
+  const { hasOpenJobs, jobTitle, minSalary, ...companyFilters } = filters;
+  const jobFilters = {};
+  if (jobTitle !== undefined) jobFilters.jobTitle = jobTitle;
+  if (minSalary !== undefined) jobFilters.minSalary = minSalary;
+
+  const { conditions: jobConditions, values: jobValues } = sqlForConditions(
+      jobFilters, COMPANY_JOB_FILTERS);
+  const { conditions, values } = sqlForConditions(
+      companyFilters, COMPANY_FILTERS, jobValues.length + 1);
+
+  if (jobConditions.length || hasOpenJobs === true || hasOpenJobs === "true") {
+    const jobWhere = ["j.company_handle = companies.handle", ...jobConditions].join(" AND ");
+    conditions.push(`EXISTS (SELECT 1 FROM jobs AS j WHERE ${jobWhere})`);
+  }
+
+  return {
+    whereClause: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    values: [...jobValues, ...values],
+  };
+}
+
+/** Fields companies can be sorted on, and the SQL columns they map to. */
+
+const COMPANY_SORTS = {
+  name: "name",
+  numEmployees: "num_employees",
+  handle: "handle",
+};
+
 /** Related functions for companies. */
 
 class Company {
@@ -44,51 +109,67 @@ class Company {
     return company;
   }
 
-  /** Find all companies.
+  /** Find all companies, optionally narrowed by filters.
+   *
+   * filters can include (see COMPANY_FILTERS):
+   * - name: case-insensitive, partial match on company name
+   * - minEmployees: companies with at least that number of employees
+   * - maxEmployees: companies with no more than that number of employees
+   * and on their jobs (see COMPANY_JOB_FILTERS):
+   * - hasOpenJobs: if true, companies with at least one job. If false or not included, list all companies.
+   * - jobTitle: companies with a job whose title is a case-insensitive, partial match
+   * - minSalary: companies with a job paying at least that salary
+   * jobTitle & minSalary must both match the same job.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * pagination is optional { limit, offset }; without a limit all rows return.
+   *
+   * sort is optional, e.g. "-numEmployees,name" (see COMPANY_SORTS); by
+   * default companies are ordered by name.
+   *
+   * Returns [{ handle, name, description, numEmployees, logoUrl, jobCount }, ...]
+   *   where jobCount is the number of jobs the company has open.
+   *
+   * Throws BadRequestError for an unknown filter or sort field, or
+   * minEmployees > maxEmployees.
    * */
 
-  static async findAll() {
+  static async findAll(filters = {}, pagination = {}, sort) {
+    const { whereClause, values } = sqlForCompanyFilter(filters);
+    const orderClause = sqlForSort(sort, COMPANY_SORTS, "name", "handle");
+    const { limitClause, values: limitValues } = sqlForPagination(
+        pagination, values.length + 1);
+
     const companiesRes = await db.query(
           `SELECT handle,
                   name,
                   description,
                   num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
+                  logo_url AS "logoUrl",
+                  (SELECT COUNT(*)
+                   FROM jobs
+                   WHERE jobs.company_handle = companies.handle)::integer AS "jobCount"
            FROM companies
-           ORDER BY name`);
+           ${whereClause}
+           ${orderClause}
+           ${limitClause}`,
+        [...values, ...limitValues]);
     return companiesRes.rows;
   }
 
-  /** Search for a company based on optional query parameters.
-   * 
-   * name : filter by company name case insensitive.
-   * minEmployees: filter to companies that have at least that number of employees.
-   * maxEmployees: filter to companies that have no more than that number of employees.
-   * 
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
-   * 
-   * If no matching companies are found, throw NotFoundError.
+  /** Count the companies matching filters (see findAll).
+   *
+   * Returns total number of matching companies.
    */
 
-  static async filter(queries) {
-    const queryString = sqlForFilterQueries(queries);
-
-    const sqlString = `SELECT handle, 
-                              name, 
-                              description, 
-                              num_employees AS "numEmployees", 
-                              logo_url AS "logoUrl"
-                        FROM companies
-                        WHERE ${queryString}
-                        ORDER BY name`;
-
-    const companiesRes = await db.query(sqlString);
+  static async count(filters = {}) {
+    const { whereClause, values } = sqlForCompanyFilter(filters);
 
-    if (companiesRes.rows.length === 0) throw new NotFoundError(`No companies match the query`);
-
-    return companiesRes.rows
+    const countRes = await db.query(
+          `SELECT COUNT(*) AS "total"
+           FROM companies
+           ${whereClause}`,
+        values);
+    return +countRes.rows[0].total;
   }
 
   /** Given a company handle, return data about company.
@@ -162,21 +243,108 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Given a company handle, return its members.
+   *
+   * Returns [{ username, firstName, lastName, role }, ...]
    *
    * Throws NotFoundError if company not found.
    **/
 
-  static async remove(handle) {
+  static async getMembers(handle) {
+    await Company.get(handle);
+
+    const result = await db.query(
+          `SELECT m.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  m.role
+           FROM company_members AS m
+                JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1
+           ORDER BY m.username`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Make a user a member of a company, with role (only "recruiter" for now).
+   *
+   * Members get their new rights when they next log in.
+   *
+   * Returns { username, companyHandle, role }
+   *
+   * Throws NotFoundError if company or user not found, and ConflictError if
+   * the user is already a member.
+   **/
+
+  static async addMember(handle, username, role = "recruiter") {
+    await Company.get(handle);
+
+    const user = await db.query(
+          `SELECT username FROM users WHERE username = $1`, [username]);
+    if (!user.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const duplicateCheck = await db.query(
+          `SELECT username
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+    if (duplicateCheck.rows[0]) {
+      throw new ConflictError(`${username} is already a member of ${handle}`);
+    }
+
+    const result = await db.query(
+          `INSERT INTO company_members (company_handle, username, role)
+           VALUES ($1, $2, $3)
+           RETURNING username, company_handle AS "companyHandle", role`,
+        [handle, username, role]);
+
+    return result.rows[0];
+  }
+
+  /** Remove a user from a company's members; returns undefined.
+   *
+   * Throws NotFoundError if the user is not a member.
+   **/
+
+  static async removeMember(handle, username) {
     const result = await db.query(
           `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+        [handle, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`${username} is not a member of ${handle}`);
+  }
+
+  /** Delete given company from database, along with its jobs, their
+   * applications and the resumes uploaded with them; returns undefined.
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async remove(handle) {
+    const result = await db.query(
+          `WITH resumes AS (
+             SELECT a.resume_key
+             FROM applications AS a
+               JOIN jobs AS j ON j.id = a.job_id
+             WHERE j.company_handle = $1 AND a.resume_key IS NOT NULL
+           ), deleted AS (
+             DELETE
+             FROM companies
+             WHERE handle = $1
+             RETURNING handle
+           )
+           SELECT handle, ARRAY(SELECT resume_key FROM resumes) AS "resumeKeys"
+           FROM deleted`,
         [handle]);
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+    await Application.removeResumeFiles(company.resumeKeys);
   }
 }
 
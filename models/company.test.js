@@ -1,13 +1,17 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const { BadRequestError, NotFoundError, ConflictError } = require("../expressError");
 const Company = require("./company.js");
+const User = require("./user.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  useMemoryStorage,
+  testResume,
+  testJobs,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -56,13 +60,13 @@ describe("create", function () {
   });
 });
 
-/************************************** filter */
+/************************************** findAll with filters */
 
-describe("filter", function () {
+describe("findAll with filters", function () {
 
   test("works with filters", async function () {
     let queries = { name: 'c3', maxEmployees: '3'};
-    let companies = await Company.filter(queries);
+    let companies = await Company.findAll(queries);
     expect(companies).toEqual([
       {
         handle: "c3",
@@ -70,6 +74,7 @@ describe("filter", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        jobCount: 1,
       },
     ]);
   });
@@ -77,18 +82,56 @@ describe("filter", function () {
   test("fails when min is greater than max value", async function () {
     let queries = { minEmployees: '2', maxEmployees: '3'};
     try {
-      await Company.filter(queries);
+      await Company.findAll(queries);
     } catch (err) {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
 
-  test("fails with no matching results", async function () {
+  test("works with no matching results", async function () {
     let queries = { minEmployees: '100' };
+    expect(await Company.findAll(queries)).toEqual([]);
+  });
+
+  test("works with job filters", async function () {
+    let companies = await Company.findAll({ jobTitle: "ENG", minSalary: 70000 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("job filters must match the same job", async function () {
+    await db.query(`INSERT INTO jobs (title, salary, equity, company_handle)
+                    VALUES ('engineer', 20000, 0, 'c1')`);
+    let companies = await Company.findAll({ jobTitle: "engineer", minSalary: 60000 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works with hasOpenJobs and jobCount", async function () {
+    await db.query(`INSERT INTO companies (handle, name, num_employees, description)
+                    VALUES ('c4', 'C4', 4, 'Desc4')`);
+    await db.query(`INSERT INTO jobs (title, salary, equity, company_handle)
+                    VALUES ('intern', 10000, 0, 'c3')`);
+    let companies = await Company.findAll({ hasOpenJobs: "true", minEmployees: 3 });
+    expect(companies).toEqual([{
+      handle: "c3",
+      name: "C3",
+      description: "Desc3",
+      numEmployees: 3,
+      logoUrl: "http://c3.img",
+      jobCount: 2,
+    }]);
+    expect(await Company.count({ hasOpenJobs: false })).toEqual(4);
+  });
+
+  test("treats LIKE wildcards in name literally", async function () {
+    expect(await Company.findAll({ name: '%' })).toEqual([]);
+  });
+
+  test("bad request for a filter not in the whitelist", async function () {
+    expect.assertions(1);
     try {
-      await Company.filter(queries);
+      await Company.findAll({ description: 'Desc1' });
     } catch (err) {
-      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
 });
@@ -105,6 +148,7 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        jobCount: 1,
       },
       {
         handle: "c2",
@@ -112,6 +156,7 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        jobCount: 1,
       },
       {
         handle: "c3",
@@ -119,11 +164,48 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        jobCount: 1,
+      },
+    ]);
+  });
+
+  test("works: paginated", async function () {
+    let companies = await Company.findAll({}, { limit: 1, offset: 1 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: sorted", async function () {
+    let companies = await Company.findAll({}, {}, "-numEmployees");
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("works: with filter", async function () {
+    let companies = await Company.findAll({ minEmployees: 2, maxEmployees: 2 });
+    expect(companies).toEqual([
+      {
+        handle: "c2",
+        name: "C2",
+        description: "Desc2",
+        numEmployees: 2,
+        logoUrl: "http://c2.img",
+        jobCount: 1,
       },
     ]);
   });
 });
 
+/************************************** count */
+
+describe("count", function () {
+  test("works: no filter", async function () {
+    expect(await Company.count()).toEqual(3);
+  });
+
+  test("works: with filter", async function () {
+    expect(await Company.count({ minEmployees: 2 })).toEqual(2);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -230,6 +312,47 @@ describe("update", function () {
   });
 });
 
+/************************************** members */
+
+describe("members", function () {
+  test("works", async function () {
+    const member = await Company.addMember("c1", "u1");
+    expect(member).toEqual({ username: "u1", companyHandle: "c1", role: "recruiter" });
+    expect(await Company.getMembers("c1")).toEqual([
+      { username: "u1", firstName: "U1F", lastName: "U1L", role: "recruiter" },
+    ]);
+
+    await Company.removeMember("c1", "u1");
+    expect(await Company.getMembers("c1")).toEqual([]);
+  });
+
+  test("conflict if already a member", async function () {
+    await Company.addMember("c1", "u1");
+    try {
+      await Company.addMember("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company or user", async function () {
+    for (const attempt of [
+      () => Company.getMembers("nope"),
+      () => Company.addMember("nope", "u1"),
+      () => Company.addMember("c1", "nope"),
+      () => Company.removeMember("c1", "u1"),
+    ]) {
+      try {
+        await attempt();
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
@@ -240,6 +363,15 @@ describe("remove", function () {
     expect(res.rows.length).toEqual(0);
   });
 
+  test("removes the resumes of applications to the company's jobs", async function () {
+    const files = useMemoryStorage();
+    await User.apply("u1", testJobs[1].rows[0].id, "u1", { resume: testResume });
+    await User.apply("u2", testJobs[0].rows[0].id, "u2", { resume: testResume });
+
+    await Company.remove("c1");
+    expect(files.size).toEqual(1);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.remove("nope");
@@ -0,0 +1,91 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { getMailer } = require("../helpers/mailer");
+const { EMAIL_VERIFICATION_TTL, API_URL } = require("../config");
+
+/** Related functions for verifying users' emails.
+ *
+ * Users start out with an unverified email (users.email_verified), and can't
+ * apply to jobs until they follow the link mailed to it. Only the hash of
+ * the link's token is stored; it works once, until EMAIL_VERIFICATION_TTL
+ * seconds are up, and only while the user's email is the one mailed.
+ */
+
+class EmailVerification {
+  /** Mail a verification link to the user's email.
+   *
+   * Throws NotFoundError if the user is not found, and BadRequestError if
+   * their email is already verified.
+   **/
+
+  static async send(username) {
+    const result = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  email,
+                  email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified) throw new BadRequestError("Email already verified");
+
+    const token = createOpaqueToken();
+    await db.query(
+          `INSERT INTO email_verification_tokens (username, email, token_hash, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))`,
+        [user.username, user.email, hashToken(token), EMAIL_VERIFICATION_TTL],
+    );
+
+    await getMailer().send({
+      to: user.email,
+      subject: "Verify your email for Jobly",
+      text: `Hi ${user.firstName},\n\n`
+          + `To verify this is the email of your Jobly account, ${user.username}, go to:\n\n`
+          + `${API_URL}/auth/verify-email?token=${token}\n\n`
+          + `The link works once, for the next ${Math.round(EMAIL_VERIFICATION_TTL / 3600)} hours. `
+          + `You can apply to jobs once you have.\n`,
+    });
+  }
+
+  /** Verify the email token was mailed to.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if token is unknown, expired or already used, or
+   * the user's email has changed since.
+   **/
+
+  static async verify(token) {
+    const result = await db.query(
+          `WITH used AS (
+             UPDATE email_verification_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username, email)
+           UPDATE users u
+           SET email_verified = TRUE
+           FROM used
+           WHERE u.username = used.username AND u.email = used.email
+           RETURNING u.username`,
+        [hashToken(token)],
+    );
+
+    const user = result.rows[0];
+
+    if (!user) throw new BadRequestError("Invalid or expired verification link");
+
+    return user;
+  }
+}
+
+module.exports = EmailVerification;
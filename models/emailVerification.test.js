@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const { getMailer } = require("../helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  mailedToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  await commonBeforeEach();
+  await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    const [mail] = await getMailer().sentTo("u1@email.com");
+    expect(mail.subject).toEqual("Verify your email for Jobly");
+    expect(mail.text).toContain("/auth/verify-email?token=");
+
+    const result = await db.query(
+        `SELECT username, email FROM email_verification_tokens`);
+    expect(result.rows).toEqual([{ username: "u1", email: "u1@email.com" }]);
+  });
+
+  test("bad request if already verified", async function () {
+    try {
+      await EmailVerification.send("u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.send("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    const result = await EmailVerification.verify(await mailedToken("u1@email.com"));
+    expect(result).toEqual({ username: "u1" });
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("works once", async function () {
+    await EmailVerification.send("u1");
+    const token = await mailedToken("u1@email.com");
+    await EmailVerification.verify(token);
+    try {
+      await EmailVerification.verify(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await EmailVerification.send("u1");
+    await db.query(
+        `UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 second'`);
+    try {
+      await EmailVerification.verify(await mailedToken("u1@email.com"));
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if the email changed since", async function () {
+    await EmailVerification.send("u1");
+    await User.update("u1", { email: "other@email.com" });
+    try {
+      await EmailVerification.verify(await mailedToken("u1@email.com"));
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("bad request for unknown token", async function () {
+    try {
+      await EmailVerification.verify("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,274 @@
+"use strict";
+
+const bcrypt = require("bcrypt");
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { getMailer } = require("../helpers/mailer");
+const {
+  BCRYPT_WORK_FACTOR,
+  INVITATION_TTL,
+  FRONTEND_URL,
+} = require("../config");
+
+/** Columns returned for an invitation. status is one of pending, expired,
+ * accepted or revoked.
+ */
+
+const INVITATION_COLUMNS = `
+    id,
+    username,
+    first_name AS "firstName",
+    last_name AS "lastName",
+    email,
+    is_admin AS "isAdmin",
+    invited_by AS "invitedBy",
+    created_at AS "createdAt",
+    expires_at AS "expiresAt",
+    CASE
+      WHEN accepted_at IS NOT NULL THEN 'accepted'
+      WHEN revoked_at IS NOT NULL THEN 'revoked'
+      WHEN expires_at <= NOW() THEN 'expired'
+      ELSE 'pending'
+    END AS status`;
+
+/** Invitation ids are INTEGERs (SERIAL). Anything else, such as a mistyped
+ * URL, is no invitation, rather than a query Postgres refuses.
+ */
+
+const MAX_ID = 2 ** 31 - 1;
+
+function isInvitationId(id) {
+  return /^\d+$/.test(String(id)) && Number(id) <= MAX_ID;
+}
+
+/** Mail invitation its link, with token. */
+
+async function sendInvitation(invitation, token) {
+  await getMailer().send({
+    to: invitation.email,
+    subject: "You're invited to Jobly",
+    text: `Hi ${invitation.firstName},\n\n`
+        + `${invitation.invitedBy || "Jobly"} invited you to Jobly, as ${invitation.username}. `
+        + `To choose your password and get started, go to:\n\n`
+        + `${FRONTEND_URL}/accept-invite?token=${token}\n\n`
+        + `The link works once, for the next ${Math.round(INVITATION_TTL / 86400)} days.\n`,
+  });
+}
+
+/** Related functions for invitations.
+ *
+ * Admins invite people instead of creating their accounts: the invitee gets
+ * a link (see sendInvitation) to choose their password, and the user only
+ * exists once they have. Only the hash of the link's token is stored; it
+ * works once, until INVITATION_TTL seconds are up. An invitation is open
+ * until it's accepted or revoked; resending it gives it a new token.
+ */
+
+class Invitation {
+  /** Invite someone, on behalf of the admin invitedBy, and mail them.
+   *
+   * data should be { username, firstName, lastName, email, isAdmin }
+   *
+   * Returns { id, username, firstName, lastName, email, isAdmin, invitedBy,
+   *   createdAt, expiresAt, status }
+   *
+   * Throws ConflictError if the username is taken, or already has an open
+   * invitation.
+   **/
+
+  static async create({ username, firstName, lastName, email, isAdmin = false }, invitedBy) {
+    const duplicateCheck = await db.query(
+          `SELECT username FROM users WHERE username = $1
+           UNION ALL
+           SELECT username FROM invitations
+           WHERE username = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [username],
+    );
+
+    if (duplicateCheck.rows[0]) {
+      throw new ConflictError(`Username taken or already invited: ${username}`);
+    }
+
+    const token = createOpaqueToken();
+    const result = await db.query(
+          `INSERT INTO invitations
+           (username, first_name, last_name, email, is_admin, invited_by,
+            token_hash, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(secs => $8))
+           RETURNING ${INVITATION_COLUMNS}`,
+        [
+          username,
+          firstName,
+          lastName,
+          email,
+          isAdmin,
+          invitedBy,
+          hashToken(token),
+          INVITATION_TTL,
+        ],
+    );
+    const invitation = result.rows[0];
+
+    await sendInvitation(invitation, token);
+    return invitation;
+  }
+
+  /** Find all invitations, newest first.
+   *
+   * Returns [{ id, username, firstName, lastName, email, isAdmin, invitedBy,
+   *   createdAt, expiresAt, status }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT ${INVITATION_COLUMNS}
+           FROM invitations
+           ORDER BY created_at DESC, id DESC`);
+    return result.rows;
+  }
+
+  /** Given an invitation id, return the invitation, as in findAll.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    if (!isInvitationId(id)) throw new NotFoundError(`No invitation: ${id}`);
+
+    const result = await db.query(
+          `SELECT ${INVITATION_COLUMNS}
+           FROM invitations
+           WHERE id = $1`,
+        [id],
+    );
+
+    const invitation = result.rows[0];
+
+    if (!invitation) throw new NotFoundError(`No invitation: ${id}`);
+
+    return invitation;
+  }
+
+  /** Mail an open invitation again, with a new link: the old one stops
+   * working, and the new one works for another INVITATION_TTL seconds.
+   *
+   * Returns the invitation, as in findAll.
+   *
+   * Throws NotFoundError if not found, and BadRequestError if it was already
+   * accepted or revoked.
+   **/
+
+  static async resend(id) {
+    if (!isInvitationId(id)) throw new NotFoundError(`No invitation: ${id}`);
+
+    const token = createOpaqueToken();
+    const result = await db.query(
+          `UPDATE invitations
+           SET token_hash = $2,
+               expires_at = NOW() + make_interval(secs => $3)
+           WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+           RETURNING ${INVITATION_COLUMNS}`,
+        [id, hashToken(token), INVITATION_TTL],
+    );
+
+    const invitation = result.rows[0];
+
+    if (!invitation) {
+      const { status } = await Invitation.get(id);
+      throw new BadRequestError(`Invitation is ${status}`);
+    }
+
+    await sendInvitation(invitation, token);
+    return invitation;
+  }
+
+  /** Revoke an open invitation: its link stops working.
+   *
+   * Returns the invitation, as in findAll.
+   *
+   * Throws NotFoundError if not found, and BadRequestError if it was already
+   * accepted or revoked.
+   **/
+
+  static async revoke(id) {
+    if (!isInvitationId(id)) throw new NotFoundError(`No invitation: ${id}`);
+
+    const result = await db.query(
+          `UPDATE invitations
+           SET revoked_at = NOW()
+           WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+           RETURNING ${INVITATION_COLUMNS}`,
+        [id],
+    );
+
+    const invitation = result.rows[0];
+
+    if (!invitation) {
+      const { status } = await Invitation.get(id);
+      throw new BadRequestError(`Invitation is ${status}`);
+    }
+
+    return invitation;
+  }
+
+  /** Accept the invitation token was mailed for, creating the user with
+   * password. Their email is verified: that's where the token came from.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws BadRequestError if token is unknown, expired, revoked or already
+   * used, and ConflictError if someone took the username in the meantime.
+   **/
+
+  static async accept(token, password) {
+    const tokenHash = hashToken(token);
+
+    const duplicateCheck = await db.query(
+          `SELECT i.username
+           FROM invitations AS i
+             JOIN users AS u ON u.username = i.username
+           WHERE i.token_hash = $1 AND i.accepted_at IS NULL`,
+        [tokenHash],
+    );
+
+    if (duplicateCheck.rows[0]) {
+      throw new ConflictError(`Username taken: ${duplicateCheck.rows[0].username}`);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+
+    const result = await db.query(
+          `WITH accepted AS (
+             UPDATE invitations
+             SET accepted_at = NOW()
+             WHERE token_hash = $1
+               AND accepted_at IS NULL
+               AND revoked_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username, first_name, last_name, email, is_admin)
+           INSERT INTO users
+           (username, password, first_name, last_name, email, email_verified, is_admin)
+           SELECT username, $2, first_name, last_name, email, TRUE, is_admin
+           FROM accepted
+           RETURNING username,
+                     first_name AS "firstName",
+                     last_name AS "lastName",
+                     email,
+                     is_admin AS "isAdmin"`,
+        [tokenHash, hashedPassword],
+    );
+
+    const user = result.rows[0];
+
+    if (!user) throw new BadRequestError("Invalid or expired invitation");
+
+    return user;
+  }
+}
+
+module.exports = Invitation;
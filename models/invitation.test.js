@@ -0,0 +1,296 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} = require("../expressError");
+const Invitation = require("./invitation.js");
+const User = require("./user.js");
+const { getMailer } = require("../helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  mailedToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newInvite = {
+  username: "new",
+  firstName: "New",
+  lastName: "Person",
+  email: "new@email.com",
+};
+
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const invitation = await Invitation.create(newInvite, "u1");
+    expect(invitation).toEqual({
+      id: expect.any(Number),
+      ...newInvite,
+      isAdmin: false,
+      invitedBy: "u1",
+      createdAt: expect.any(Date),
+      expiresAt: expect.any(Date),
+      status: "pending",
+    });
+
+    const [mail] = await getMailer().sentTo("new@email.com");
+    expect(mail.subject).toEqual("You're invited to Jobly");
+    expect(mail.text).toContain("u1 invited you");
+  });
+
+  test("conflict if username taken", async function () {
+    try {
+      await Invitation.create({ ...newInvite, username: "u1" }, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+
+  test("conflict if already invited", async function () {
+    await Invitation.create(newInvite, "u1");
+    try {
+      await Invitation.create(newInvite, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+
+  test("works again once revoked", async function () {
+    const { id } = await Invitation.create(newInvite, "u1");
+    await Invitation.revoke(id);
+    const invitation = await Invitation.create(newInvite, "u1");
+    expect(invitation.status).toEqual("pending");
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const { id } = await Invitation.create(newInvite, "u1");
+    await Invitation.create({ ...newInvite, username: "new2" }, "u1");
+    await Invitation.revoke(id);
+
+    const invitations = await Invitation.findAll();
+    expect(invitations.map(i => [i.username, i.status])).toEqual([
+      ["new2", "pending"],
+      ["new", "revoked"],
+    ]);
+  });
+
+  test("works: expired", async function () {
+    await Invitation.create(newInvite, "u1");
+    await db.query(`UPDATE invitations SET expires_at = NOW() - INTERVAL '1 second'`);
+    const [invitation] = await Invitation.findAll();
+    expect(invitation.status).toEqual("expired");
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await Invitation.create(newInvite, "u1");
+    const invitation = await Invitation.get(id);
+    expect(invitation.username).toEqual("new");
+  });
+
+  test("not found if no such invitation", async function () {
+    try {
+      await Invitation.get(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if id isn't an integer", async function () {
+    for (const id of ["abc", "1.5", "99999999999"]) {
+      try {
+        await Invitation.get(id);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** resend */
+
+describe("resend", function () {
+  test("works, replacing the old link", async function () {
+    const { id } = await Invitation.create(newInvite, "u1");
+    const oldToken = await mailedToken("new@email.com");
+    await db.query(`UPDATE invitations SET expires_at = NOW() - INTERVAL '1 second'`);
+
+    const invitation = await Invitation.resend(id);
+    expect(invitation.status).toEqual("pending");
+    const newToken = await mailedToken("new@email.com");
+    expect(newToken).not.toEqual(oldToken);
+
+    try {
+      await Invitation.accept(oldToken, "password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    const user = await Invitation.accept(newToken, "password");
+    expect(user.username).toEqual("new");
+  });
+
+  test("bad request if revoked", async function () {
+    const { id } = await Invitation.create(newInvite, "u1");
+    await Invitation.revoke(id);
+    try {
+      await Invitation.resend(id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invitation is revoked");
+    }
+  });
+
+  test("not found if no such invitation", async function () {
+    try {
+      await Invitation.resend(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if id isn't an integer", async function () {
+    for (const id of ["abc", "1.5", "99999999999"]) {
+      try {
+        await Invitation.resend(id);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { id } = await Invitation.create(newInvite, "u1");
+    const token = await mailedToken("new@email.com");
+    const invitation = await Invitation.revoke(id);
+    expect(invitation.status).toEqual("revoked");
+
+    try {
+      await Invitation.accept(token, "password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if accepted", async function () {
+    const { id } = await Invitation.create(newInvite, "u1");
+    await Invitation.accept(await mailedToken("new@email.com"), "password");
+    try {
+      await Invitation.revoke(id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invitation is accepted");
+    }
+  });
+
+  test("not found if no such invitation", async function () {
+    try {
+      await Invitation.revoke(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if id isn't an integer", async function () {
+    for (const id of ["abc", "1.5", "99999999999"]) {
+      try {
+        await Invitation.revoke(id);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** accept */
+
+describe("accept", function () {
+  test("works", async function () {
+    await Invitation.create({ ...newInvite, isAdmin: true }, "u1");
+    const user = await Invitation.accept(await mailedToken("new@email.com"), "password");
+    expect(user).toEqual({ ...newInvite, isAdmin: true });
+
+    const authenticated = await User.authenticate("new", "password");
+    expect(authenticated.isAdmin).toEqual(true);
+    expect((await User.get("new")).emailVerified).toEqual(true);
+  });
+
+  test("works once", async function () {
+    await Invitation.create(newInvite, "u1");
+    const token = await mailedToken("new@email.com");
+    await Invitation.accept(token, "password");
+    try {
+      await Invitation.accept(token, "password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await Invitation.create(newInvite, "u1");
+    await db.query(`UPDATE invitations SET expires_at = NOW() - INTERVAL '1 second'`);
+    try {
+      await Invitation.accept(await mailedToken("new@email.com"), "password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("conflict if username taken meanwhile", async function () {
+    await Invitation.create(newInvite, "u1");
+    await db.query(
+        `INSERT INTO users (username, password, first_name, last_name, email)
+         VALUES ('new', 'x', 'Other', 'Person', 'other@email.com')`);
+    try {
+      await Invitation.accept(await mailedToken("new@email.com"), "password");
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+
+  test("bad request for unknown token", async function () {
+    try {
+      await Invitation.accept("nope", "password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
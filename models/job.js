@@ -2,8 +2,39 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate, sqlForFilterQueries } = require("../helpers/sql");
- 
+const Application = require("./application");
+const {
+  sqlForPartialUpdate,
+  sqlForConditions,
+  sqlForFilter,
+  sqlForPagination,
+  sqlForSort,
+} = require("../helpers/sql");
+
+/** Query parameters jobs can be filtered on, and the SQL they map to.
+ *
+ * This is the whitelist handed to sqlForFilter: nothing else reaches the query.
+ */
+
+const JOB_FILTERS = {
+  title: { column: "title", op: "contains" },
+  minSalary: { column: "salary", op: "gte" },
+  maxSalary: { column: "salary", op: "lte" },
+  minEquity: { column: "equity", op: "gte" },
+  maxEquity: { column: "equity", op: "lte" },
+  hasEquity: { column: "equity", op: "nonZero" },
+  companyHandle: { column: "company_handle", op: "oneOf" },
+};
+
+/** Fields jobs can be sorted on, and the SQL columns they map to. */
+
+const JOB_SORTS = {
+  title: "title",
+  salary: "salary",
+  equity: "equity",
+  id: "id",
+};
+
 /** Related functions for jobs. */
 
 class Job {
@@ -41,12 +72,42 @@ class Job {
     return job;
   }
 
-  /** Find all jobs.
+  /** Find all jobs, optionally narrowed by filters.
+   *
+   * filters can include (see JOB_FILTERS):
+   * - title: case-insensitive, partial match on job title
+   * - minSalary: jobs with at least that salary
+   * - maxSalary: jobs with no more than that salary
+   * - minEquity: jobs with at least that equity
+   * - maxEquity: jobs with no more than that equity
+   * - hasEquity: if true, jobs that provide a non-zero amount of equity. If false or not included in the filtering, list all jobs regardless of equity.
+   * - companyHandle: jobs at that company, or any of a comma-separated list of companies
+   *
+   * pagination is optional { limit, offset, after }; without a limit all
+   * rows return. after is the [title, id] of the last job already seen (see
+   * Job.cursorKey): only jobs ordered after it return, for keyset pagination.
+   * after only makes sense with the default order.
+   *
+   * sort is optional, e.g. "-salary,title" (see JOB_SORTS); by default jobs
+   * are ordered by title.
    *
-   * Returns [{ id, title, salary, equity, company_handle }, ...]
+   * Returns [{ id, title, salary, equity, companyHandle }, ...]
+   *
+   * Throws BadRequestError for an unknown filter or sort field, or a
+   * minimum larger than its maximum.
    * */
 
-  static async findAll() {
+  static async findAll(filters = {}, pagination = {}, sort) {
+    const { conditions, values } = sqlForConditions(filters, JOB_FILTERS);
+    if (pagination.after) {
+      values.push(...pagination.after);
+      conditions.push(`(title, id) > ($${values.length - 1}, $${values.length})`);
+    }
+    const whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const orderClause = sqlForSort(sort, JOB_SORTS, "title", "id");
+    const { limitClause, values: limitValues } = sqlForPagination(
+        pagination, values.length + 1);
+
     const jobsRes = await db.query(
           `SELECT id,
                   title,
@@ -54,37 +115,36 @@ class Job {
                   equity,
                   company_handle AS "companyHandle"
            FROM jobs
-           ORDER BY title`);
+           ${whereClause}
+           ${orderClause}
+           ${limitClause}`,
+        [...values, ...limitValues]);
     return jobsRes.rows;
   }
 
-  /** Search for a job based on optional query parameters.
-   * 
-   * title : filter by job title case insensitive.
-   * minSalary: filter to jobs with at least that salary.
-   * hasEquity: if true, filter to jobs that provide a non-zero amount of equity. If false or not included in the filtering, list all jobs regardless of equity.
-   * 
-   * Returns [{ id, title, salary, equity, company_handle }, ...]
-   * 
-   * If no matching jobs are found, throw NotFoundError.
+  /** The sort key of a job in findAll's default ordering: [title, id].
+   *
+   * Pass it back to findAll as pagination.after to continue from that job.
    */
 
-  static async filter(queries) {
-    const queryString = sqlForFilterQueries(queries);
-    const sqlString = `SELECT id, 
-                              title, 
-                              salary, 
-                              equity, 
-                              company_handle AS "companyHandle"
-                        FROM jobs
-                        WHERE ${queryString}
-                        ORDER BY title`;
+  static cursorKey(job) {
+    return [job.title, job.id];
+  }
 
-    const jobsRes = await db.query(sqlString);
+  /** Count the jobs matching filters (see findAll).
+   *
+   * Returns total number of matching jobs.
+   */
 
-    if (jobsRes.rows.length === 0) throw new NotFoundError(`No jobs match the query`);
+  static async count(filters = {}) {
+    const { whereClause, values } = sqlForFilter(filters, JOB_FILTERS);
 
-    return jobsRes.rows
+    const countRes = await db.query(
+          `SELECT COUNT(*) AS "total"
+           FROM jobs
+           ${whereClause}`,
+        values);
+    return +countRes.rows[0].total;
   }
 
   /** Given a job id, return data about the job.
@@ -145,21 +205,32 @@ class Job {
     return job;
   }
 
-  /** Delete given job from database; returns undefined.
+  /** Delete given job from database, along with its applications and the
+   * resumes uploaded with them; returns undefined.
    *
    * Throws NotFoundError if job not found.
    **/
 
   static async remove(id) {
     const result = await db.query(
-          `DELETE
-           FROM jobs
-           WHERE id = $1
-           RETURNING id`,
+          `WITH resumes AS (
+             SELECT resume_key
+             FROM applications
+             WHERE job_id = $1 AND resume_key IS NOT NULL
+           ), deleted AS (
+             DELETE
+             FROM jobs
+             WHERE id = $1
+             RETURNING id
+           )
+           SELECT id, ARRAY(SELECT resume_key FROM resumes) AS "resumeKeys"
+           FROM deleted`,
         [id]);
     const job = result.rows[0];
 
     if (!job) throw new NotFoundError(`No company: ${id}`);
+
+    await Application.removeResumeFiles(job.resumeKeys);
   }
 }
 
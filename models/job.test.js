@@ -3,11 +3,15 @@
 const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const Job = require("./job.js");
+const User = require("./user.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  useMemoryStorage,
+  testResume,
+  testJobs,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -96,14 +100,58 @@ describe("findAll", () => {
         ]);
       });
 
+    test("works: paginated", async () => {
+        let jobs = await Job.findAll({}, { limit: 2, offset: 1 });
+        expect(jobs.map(j => j.title)).toEqual(["engineer", "manager"]);
+    });
+
+    test("works: sorted", async () => {
+        let jobs = await Job.findAll({}, {}, "-salary");
+        expect(jobs.map(j => j.title)).toEqual(["engineer", "manager", "associate"]);
+    });
+
+    test("bad request: sorted by unknown field", async () => {
+        expect.assertions(1);
+        try {
+            await Job.findAll({}, {}, "company_handle");
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("works: after a cursor key", async () => {
+        let [first] = await Job.findAll({}, { limit: 1 });
+        let jobs = await Job.findAll({}, { limit: 1, after: Job.cursorKey(first) });
+        expect(jobs.map(j => j.title)).toEqual(["engineer"]);
+    });
+
+    test("works: after a cursor key, ties broken by id", async () => {
+        const dupe = await Job.create(
+            { title: "associate", salary: 1, equity: 0, companyHandle: "c1" });
+        let [first] = await Job.findAll({}, { limit: 1 });
+        let jobs = await Job.findAll({}, { limit: 1, after: Job.cursorKey(first) });
+        expect(jobs).toEqual([dupe]);
+    });
 });
 
-/************************************** filter */
+/************************************** count */
 
-describe("filter", () => {
+describe("count", () => {
+    test("works: no filter", async () => {
+        expect(await Job.count()).toEqual(3);
+    });
+
+    test("works: with filter", async () => {
+        expect(await Job.count({ hasEquity: true })).toEqual(2);
+    });
+});
+
+/************************************** findAll with filters */
+
+describe("findAll with filters", () => {
   test("works with filters", async () => {
     const queries = { title: "manager", minSalary: "40000"};
-    const jobs = await Job.filter(queries);
+    const jobs = await Job.findAll(queries);
 
     expect(jobs).toEqual([{
       id: expect.any(Number),
@@ -116,7 +164,7 @@ describe("filter", () => {
 
   test("works with hasEquity true", async () => {
     const queries = { title: "manager", minSalary: "40000", hasEquity: 'true'};
-    const jobs = await Job.filter(queries);
+    const jobs = await Job.findAll(queries);
 
     expect(jobs).toEqual([{
       id: expect.any(Number),
@@ -129,7 +177,7 @@ describe("filter", () => {
 
   test("works with hasEquity false", async () => {
     const queries = { title: "manager", minSalary: "40000", hasEquity: 'false'};
-    const jobs = await Job.filter(queries);
+    const jobs = await Job.findAll(queries);
 
     expect(jobs).toEqual([{
       id: expect.any(Number),
@@ -140,14 +188,32 @@ describe("filter", () => {
     }]);
   });
 
-  test("not found with no matching results", async () => {
-    const queries = { title: "manager", minSalary: "100000"};
+  test("works with salary and equity ranges", async () => {
+    const queries = { minSalary: 30000, maxSalary: 70000, minEquity: 0.01, maxEquity: 0.1 };
+    const jobs = await Job.findAll(queries);
+
+    expect(jobs.map(j => j.title)).toEqual(["manager"]);
+  });
+
+  test("works with a list of company handles", async () => {
+    const jobs = await Job.findAll({ companyHandle: "c1,c3" });
+
+    expect(jobs.map(j => j.companyHandle)).toEqual(["c3", "c1"]);
+  });
+
+  test("bad request when minEquity is larger than maxEquity", async () => {
+    expect.assertions(1);
     try {
-      await Job.filter(queries);
+      await Job.findAll({ minEquity: 0.5, maxEquity: 0.1 });
     } catch (err) {
-      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("works with no matching results", async () => {
+    const queries = { title: "manager", minSalary: "100000"};
+    expect(await Job.findAll(queries)).toEqual([]);
+  });
   
 });
 
@@ -289,6 +355,15 @@ describe("remove", () => {
         expect(afterRemove.rows.length).toEqual(1);
     });
 
+    test("removes the resumes of the job's applications", async () => {
+        const files = useMemoryStorage();
+        await User.apply("u1", testJobs[1].rows[0].id, "u1", { resume: testResume });
+        await User.apply("u2", testJobs[0].rows[0].id, "u2", { resume: testResume });
+
+        await Job.remove(testJobs[0].rows[0].id);
+        expect(files.size).toEqual(1);
+    });
+
     test("not found if no such job", async () => {
         try {
           await Job.remove(0);
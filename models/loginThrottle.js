@@ -0,0 +1,149 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_FREE_FAILURES,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_LOCKOUT,
+} = require("../config");
+
+/** "1 second", "2 seconds", ... */
+
+function plural(count, unit) {
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+/** Related functions for throttling password guessing.
+ *
+ * Failed logins are counted per username and per IP address, in Postgres.
+ * Each failure past the first few makes the key wait longer before the next
+ * try (see backoffFor), and enough of them lock it out. Failures are
+ * forgotten after LOGIN_LOCKOUT seconds without one (see prune), and a
+ * username's when its user logs in or an admin unlocks it.
+ */
+
+class LoginThrottle {
+  /** Seconds to refuse logins for after the failures-th failed one in a row,
+   * for a key locked out after maxFailures.
+   *
+   * The first LOGIN_FREE_FAILURES cost nothing; after that the wait doubles
+   * from 1 second with each failure, until at maxFailures the key is locked
+   * out for LOGIN_LOCKOUT seconds.
+   **/
+
+  static backoffFor(failures, maxFailures) {
+    if (failures >= maxFailures) return LOGIN_LOCKOUT;
+    if (failures <= LOGIN_FREE_FAILURES) return 0;
+    return Math.min(2 ** (failures - LOGIN_FREE_FAILURES - 1), LOGIN_LOCKOUT);
+  }
+
+  /** Refuse a login for username from ip if either is waiting out a backoff
+   * or lockout. ip may be null.
+   *
+   * Throws TooManyRequestsError, with how long to wait, if so.
+   **/
+
+  static async check(username, ip) {
+    const result = await db.query(
+          `SELECT kind,
+                  failures,
+                  CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::INTEGER AS "wait"
+           FROM login_throttles
+           WHERE ((kind = 'username' AND key = $1) OR (kind = 'ip' AND key = $2))
+             AND locked_until > NOW()
+           ORDER BY locked_until DESC`,
+        [username, ip],
+    );
+
+    const throttle = result.rows[0];
+    if (!throttle) return;
+
+    if (throttle.kind === "username" && throttle.failures >= LOGIN_MAX_FAILURES) {
+      throw new TooManyRequestsError(
+          `Account locked after too many failed logins; try again in `
+          + `${plural(Math.ceil(throttle.wait / 60), "minute")}, or ask an admin to unlock it`,
+          throttle.wait);
+    }
+    throw new TooManyRequestsError(
+        `Too many failed logins; try again in ${plural(throttle.wait, "second")}`,
+        throttle.wait);
+  }
+
+  /** Count a failed login for username, and for ip unless it's null. */
+
+  static async recordFailure(username, ip) {
+    await LoginThrottle.prune();
+    await LoginThrottle.countFailure("username", username, LOGIN_MAX_FAILURES);
+    if (ip) await LoginThrottle.countFailure("ip", ip, LOGIN_MAX_IP_FAILURES);
+  }
+
+  /** Delete the failures of keys without one for LOGIN_LOCKOUT seconds:
+   * they're forgotten, and any lockout is over. Otherwise every username
+   * ever guessed would keep its row.
+   **/
+
+  static async prune() {
+    await db.query(
+          `DELETE FROM login_throttles
+           WHERE last_failure_at < NOW() - make_interval(secs => $1)`,
+        [LOGIN_LOCKOUT],
+    );
+  }
+
+  /** Count a failure for key, starting over if the last one was long ago,
+   * and set how long it has to wait.
+   **/
+
+  static async countFailure(kind, key, maxFailures) {
+    const result = await db.query(
+          `INSERT INTO login_throttles AS t (kind, key, failures)
+           VALUES ($1, $2, 1)
+           ON CONFLICT (kind, key) DO UPDATE
+           SET failures = CASE
+                 WHEN t.last_failure_at < NOW() - make_interval(secs => $3) THEN 1
+                 ELSE t.failures + 1
+               END,
+               last_failure_at = NOW()
+           RETURNING failures`,
+        [kind, key, LOGIN_LOCKOUT],
+    );
+
+    const wait = LoginThrottle.backoffFor(result.rows[0].failures, maxFailures);
+    await db.query(
+          `UPDATE login_throttles
+           SET locked_until = NOW() + make_interval(secs => $3)
+           WHERE kind = $1 AND key = $2`,
+        [kind, key, wait],
+    );
+  }
+
+  /** Forget the failed logins for username, e.g. once they log in. */
+
+  static async reset(username) {
+    await db.query(
+          `DELETE FROM login_throttles
+           WHERE kind = 'username' AND key = $1`,
+        [username],
+    );
+  }
+
+  /** Lift any backoff or lockout of username's logins; for admins.
+   *
+   * Throws NotFoundError if the user is not found.
+   **/
+
+  static async unlock(username) {
+    const result = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await LoginThrottle.reset(username);
+  }
+}
+
+module.exports = LoginThrottle;
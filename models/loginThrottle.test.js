@@ -0,0 +1,141 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+const LoginThrottle = require("./loginThrottle.js");
+const {
+  LOGIN_FREE_FAILURES,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_LOCKOUT,
+} = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function failLogins(times, username = "u1", ip = "1.2.3.4") {
+  for (let i = 0; i < times; i++) await LoginThrottle.recordFailure(username, ip);
+}
+
+async function checkError(username = "u1", ip = "1.2.3.4") {
+  try {
+    await LoginThrottle.check(username, ip);
+  } catch (err) {
+    return err;
+  }
+}
+
+/************************************** backoffFor */
+
+describe("backoffFor", function () {
+  test("works", function () {
+    expect(LoginThrottle.backoffFor(LOGIN_FREE_FAILURES, 10)).toEqual(0);
+    expect(LoginThrottle.backoffFor(LOGIN_FREE_FAILURES + 1, 10)).toEqual(1);
+    expect(LoginThrottle.backoffFor(LOGIN_FREE_FAILURES + 2, 10)).toEqual(2);
+    expect(LoginThrottle.backoffFor(LOGIN_FREE_FAILURES + 3, 10)).toEqual(4);
+    expect(LoginThrottle.backoffFor(10, 10)).toEqual(LOGIN_LOCKOUT);
+  });
+});
+
+/************************************** check */
+
+describe("check", function () {
+  test("works with no failures", async function () {
+    expect(await checkError()).toBeUndefined();
+  });
+
+  test("works with only free failures", async function () {
+    await failLogins(LOGIN_FREE_FAILURES);
+    expect(await checkError()).toBeUndefined();
+  });
+
+  test("backs off after more failures", async function () {
+    await failLogins(LOGIN_FREE_FAILURES + 2);
+    const err = await checkError();
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.message).toEqual("Too many failed logins; try again in 2 seconds");
+    expect(err.retryAfter).toEqual(2);
+  });
+
+  test("locks out the username after the maximum", async function () {
+    await failLogins(LOGIN_MAX_FAILURES);
+    const err = await checkError("u1", "5.6.7.8");
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.message).toContain("Account locked");
+    expect(err.retryAfter).toEqual(LOGIN_LOCKOUT);
+  });
+
+  test("throttles the ip across usernames", async function () {
+    for (let i = 0; i < LOGIN_MAX_IP_FAILURES; i++) {
+      await LoginThrottle.recordFailure(`guess${i}`, "1.2.3.4");
+    }
+    const err = await checkError("u2", "1.2.3.4");
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(await checkError("u2", "5.6.7.8")).toBeUndefined();
+  });
+
+  test("forgets old failures", async function () {
+    await failLogins(LOGIN_MAX_FAILURES - 1);
+    await db.query(
+        `UPDATE login_throttles
+         SET last_failure_at = NOW() - INTERVAL '1 day', locked_until = NULL`);
+    await failLogins(1);
+    expect(await checkError()).toBeUndefined();
+  });
+});
+
+/************************************** prune */
+
+describe("prune", function () {
+  test("deletes keys without a recent failure", async function () {
+    await failLogins(1, "old", "1.1.1.1");
+    await db.query(
+        `UPDATE login_throttles
+         SET last_failure_at = NOW() - make_interval(secs => $1 + 1)`,
+        [LOGIN_LOCKOUT]);
+    await failLogins(1, "u1", "2.2.2.2");
+
+    const result = await db.query(`SELECT kind, key FROM login_throttles ORDER BY kind`);
+    expect(result.rows).toEqual([
+      { kind: "ip", key: "2.2.2.2" },
+      { kind: "username", key: "u1" },
+    ]);
+  });
+});
+
+/************************************** reset */
+
+describe("reset", function () {
+  test("works", async function () {
+    await failLogins(LOGIN_MAX_FAILURES);
+    await LoginThrottle.reset("u1");
+    expect(await checkError("u1", "5.6.7.8")).toBeUndefined();
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failLogins(LOGIN_MAX_FAILURES);
+    await LoginThrottle.unlock("u1");
+    expect(await checkError("u1", "5.6.7.8")).toBeUndefined();
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await LoginThrottle.unlock("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
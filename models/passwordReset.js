@@ -0,0 +1,106 @@
+"use strict";
+
+const bcrypt = require("bcrypt");
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { getMailer } = require("../helpers/mailer");
+const {
+  BCRYPT_WORK_FACTOR,
+  PASSWORD_RESET_TTL,
+  FRONTEND_URL,
+} = require("../config");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * A reset token is mailed to the user (see helpers/mailer.js) and only its
+ * hash is stored. It works once, until PASSWORD_RESET_TTL seconds are up.
+ */
+
+class PasswordReset {
+  /** Mail a password reset link to each user with email.
+   *
+   * Nothing tells the caller whether any user has that email, so this can't
+   * be used to find out who has an account.
+   **/
+
+  static async request(email) {
+    const result = await db.query(
+          `SELECT username, first_name AS "firstName", email
+           FROM users
+           WHERE lower(email) = lower($1)`,
+        [email],
+    );
+
+    for (const user of result.rows) {
+      const token = createOpaqueToken();
+      await db.query(
+            `INSERT INTO password_reset_tokens (username, token_hash, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+          [user.username, hashToken(token), PASSWORD_RESET_TTL],
+      );
+
+      await getMailer().send({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `Hi ${user.firstName},\n\n`
+            + `Someone asked to reset the password of your Jobly account, ${user.username}. `
+            + `To choose a new one, go to:\n\n`
+            + `${FRONTEND_URL}/reset-password?token=${token}\n\n`
+            + `The link works once, for the next ${Math.round(PASSWORD_RESET_TTL / 60)} minutes. `
+            + `If you didn't ask for this, you can ignore this email.\n`,
+      });
+    }
+  }
+
+  /** Set a new password for the user token was mailed to.
+   *
+   * Uses up token along with the user's other reset tokens, and logs the
+   * user out everywhere (see RefreshToken).
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if token is unknown, expired or already used.
+   **/
+
+  static async confirm(token, password) {
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+    const tokenHash = hashToken(token);
+
+    const result = await db.query(
+          `WITH used AS (
+             UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username),
+           others AS (
+             UPDATE password_reset_tokens p
+             SET used_at = NOW()
+             FROM used
+             WHERE p.username = used.username
+               AND p.token_hash <> $1
+               AND p.used_at IS NULL),
+           sessions AS (
+             UPDATE refresh_tokens r
+             SET revoked_at = NOW()
+             FROM used
+             WHERE r.username = used.username AND r.revoked_at IS NULL)
+           UPDATE users u
+           SET password = $2
+           FROM used
+           WHERE u.username = used.username
+           RETURNING u.username`,
+        [tokenHash, hashedPassword],
+    );
+
+    const user = result.rows[0];
+
+    if (!user) throw new BadRequestError("Invalid or expired password reset token");
+
+    return user;
+  }
+}
+
+module.exports = PasswordReset;
@@ -0,0 +1,117 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const PasswordReset = require("./passwordReset.js");
+const RefreshToken = require("./refreshToken.js");
+const User = require("./user.js");
+const { getMailer } = require("../helpers/mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  mailedToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    await PasswordReset.request("U1@email.com");
+    const mails = await getMailer().sentTo("u1@email.com");
+    expect(mails.length).toEqual(1);
+    expect(mails[0].subject).toEqual("Reset your Jobly password");
+    expect(mails[0].text).toContain("u1");
+
+    const result = await db.query(
+        `SELECT username, expires_at > NOW() AS "live" FROM password_reset_tokens`);
+    expect(result.rows).toEqual([{ username: "u1", live: true }]);
+  });
+
+  test("stores only the hash of the token", async function () {
+    await PasswordReset.request("u1@email.com");
+    const token = await mailedToken("u1@email.com");
+    const result = await db.query(`SELECT token_hash FROM password_reset_tokens`);
+    expect(result.rows[0].token_hash).not.toEqual(token);
+  });
+
+  test("does nothing for unknown email", async function () {
+    await PasswordReset.request("nope@email.com");
+    expect(await getMailer().sentTo("nope@email.com")).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await PasswordReset.request("u1@email.com");
+    const token = await mailedToken("u1@email.com");
+
+    expect(await PasswordReset.confirm(token, "new-password")).toEqual({ username: "u1" });
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("works once", async function () {
+    await PasswordReset.request("u1@email.com");
+    const token = await mailedToken("u1@email.com");
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("uses up the user's other reset tokens", async function () {
+    await PasswordReset.request("u1@email.com");
+    const first = await mailedToken("u1@email.com");
+    await PasswordReset.request("u1@email.com");
+    const second = await mailedToken("u1@email.com");
+
+    await PasswordReset.confirm(second, "new-password");
+    try {
+      await PasswordReset.confirm(first, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("logs the user out everywhere", async function () {
+    const refreshToken = await RefreshToken.create("u1");
+    await PasswordReset.request("u1@email.com");
+    await PasswordReset.confirm(await mailedToken("u1@email.com"), "new-password");
+    expect((await RefreshToken.find(refreshToken)).revokedAt).toEqual(expect.any(Date));
+  });
+
+  test("bad request for expired token", async function () {
+    await PasswordReset.request("u1@email.com");
+    const token = await mailedToken("u1@email.com");
+    await db.query(`UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 second'`);
+    try {
+      await PasswordReset.confirm(token, "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for unknown token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
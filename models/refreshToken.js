@@ -0,0 +1,122 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are opaque (see createOpaqueToken) and only their hashes are
+ * stored. Each login starts a family of them: refreshing uses up the token
+ * and hands out the next one in its family. Presenting a used token again
+ * means it was stolen (or the client is confused), so the whole family is
+ * revoked, logging out thief and owner alike. A family remembers whether its
+ * login gave a two-factor code (mfa), so refreshed access tokens say so too.
+ */
+
+class RefreshToken {
+  /** Issue a refresh token for username, starting a new family; mfa says
+   * whether the login gave a two-factor code.
+   *
+   * Returns the token.
+   **/
+
+  static async create(username, { mfa = false } = {}) {
+    const token = createOpaqueToken();
+    await db.query(
+          `INSERT INTO refresh_tokens (username, token_hash, family_id, expires_at, mfa)
+           VALUES ($1, $2, $3, NOW() + make_interval(secs => $4), $5)`,
+        [username, hashToken(token), crypto.randomUUID(), REFRESH_TOKEN_TTL, mfa],
+    );
+    return token;
+  }
+
+  /** Use up token, issuing the next refresh token in its family.
+   *
+   * Returns { username, mfa, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked, or
+   * was already used; in that last case its family is revoked too.
+   **/
+
+  static async rotate(token) {
+    const newToken = createOpaqueToken();
+    const result = await db.query(
+          `WITH used AS (
+             UPDATE refresh_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND revoked_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username, family_id, mfa)
+           INSERT INTO refresh_tokens (username, token_hash, family_id, expires_at, mfa)
+           SELECT username, $2, family_id, NOW() + make_interval(secs => $3), mfa
+           FROM used
+           RETURNING username, mfa`,
+        [hashToken(token), hashToken(newToken), REFRESH_TOKEN_TTL],
+    );
+
+    if (result.rows[0]) {
+      const { username, mfa } = result.rows[0];
+      return { username, mfa, refreshToken: newToken };
+    }
+
+    const stored = await RefreshToken.find(token);
+    if (!stored) throw new UnauthorizedError("Invalid refresh token");
+    if (stored.usedAt || stored.revokedAt) {
+      await RefreshToken.revokeFamily(stored.familyId);
+      throw new UnauthorizedError("Refresh token reuse detected; please log in again");
+    }
+    throw new UnauthorizedError("Refresh token expired");
+  }
+
+  /** Revoke token and the rest of its family (i.e. log out).
+   *
+   * Returns { username }
+   *
+   * Throws UnauthorizedError if the token is unknown.
+   **/
+
+  static async revoke(token) {
+    const stored = await RefreshToken.find(token);
+    if (!stored) throw new UnauthorizedError("Invalid refresh token");
+
+    await RefreshToken.revokeFamily(stored.familyId);
+    return { username: stored.username };
+  }
+
+  /** Given a token, return what's stored about it, or undefined if unknown.
+   *
+   * Returns { username, familyId, expiresAt, usedAt, revokedAt }
+   **/
+
+  static async find(token) {
+    const result = await db.query(
+          `SELECT username,
+                  family_id AS "familyId",
+                  expires_at AS "expiresAt",
+                  used_at AS "usedAt",
+                  revoked_at AS "revokedAt"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+        [hashToken(token)],
+    );
+    return result.rows[0];
+  }
+
+  /** Revoke every token in a family that isn't already revoked. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+        [familyId],
+    );
+  }
+}
+
+module.exports = RefreshToken;
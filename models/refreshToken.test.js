@@ -0,0 +1,119 @@
+"use strict";
+
+const db = require("../db.js");
+const { UnauthorizedError } = require("../expressError");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const result = await db.query(
+        `SELECT username, token_hash, expires_at > NOW() AS "live"
+         FROM refresh_tokens`);
+    expect(result.rows).toEqual([
+      { username: "u1", token_hash: hashToken(token), live: true },
+    ]);
+  });
+
+  test("starts a new family each time", async function () {
+    await RefreshToken.create("u1");
+    await RefreshToken.create("u1");
+    const result = await db.query(
+        `SELECT COUNT(DISTINCT family_id) AS "count" FROM refresh_tokens`);
+    expect(+result.rows[0].count).toEqual(2);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const { username, refreshToken } = await RefreshToken.rotate(token);
+    expect(username).toEqual("u1");
+    expect(refreshToken).not.toEqual(token);
+
+    const used = await RefreshToken.find(token);
+    const next = await RefreshToken.find(refreshToken);
+    expect(used.usedAt).toEqual(expect.any(Date));
+    expect(next.usedAt).toBeNull();
+    expect(next.familyId).toEqual(used.familyId);
+  });
+
+  test("unauth for unknown token", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth for expired token", async function () {
+    const token = await RefreshToken.create("u1");
+    await db.query(`UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 second'`);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Refresh token expired");
+    }
+  });
+
+  test("reuse revokes the family, and only it", async function () {
+    const token = await RefreshToken.create("u1");
+    const other = await RefreshToken.create("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    expect((await RefreshToken.find(refreshToken)).revokedAt).toEqual(expect.any(Date));
+    expect((await RefreshToken.find(other)).revokedAt).toBeNull();
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    expect(await RefreshToken.revoke(refreshToken)).toEqual({ username: "u1" });
+
+    expect((await RefreshToken.find(token)).revokedAt).toEqual(expect.any(Date));
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth for unknown token", async function () {
+    try {
+      await RefreshToken.revoke("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
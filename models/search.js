@@ -0,0 +1,103 @@
+"use strict";
+
+const db = require("../db");
+
+/** Full-text search expressions. These must match the GIN indexes in
+ * jobly-schema.sql, or Postgres can't use them. Job titles weigh the same as
+ * company names, so scores of the two types can be compared.
+ */
+
+const COMPANY_DOCUMENT = `setweight(to_tsvector('english', c.name), 'A') ||
+                          setweight(to_tsvector('english', c.description), 'B')`;
+const JOB_DOCUMENT = `setweight(to_tsvector('english', j.title), 'A')`;
+
+/** SQL for the text of the expression sql, HTML-escaped. Snippets are shown
+ * as HTML (for their <b></b>), so the text they're made from has to be
+ * escaped first: company descriptions and job titles are user input.
+ */
+
+function escapeHtml(sql) {
+  return `replace(replace(replace(replace(replace(${sql}, '&', '&amp;'), '<', '&lt;'),
+                  '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+}
+
+/** Related functions for searching across jobs and companies. */
+
+class Search {
+  /** Full-text search of job titles, company names and company descriptions.
+   *
+   * q is a web-search style query: words, "quoted phrases", or, -excluded.
+   * options can include:
+   * - type: "job" or "company" to search only one kind of result
+   * - limit: most results to return (default 20)
+   *
+   * Returns results ranked best first:
+   *   [{ type: "job", score, snippet, id, title, salary, equity, companyHandle },
+   *    { type: "company", score, snippet, handle, name, description, numEmployees, logoUrl }, ...]
+   *   where snippet is the matched text, HTML-escaped, with matches wrapped
+   *   in <b></b>.
+   */
+
+  static async search(q, { type, limit = 20 } = {}) {
+    const searches = [];
+    if (type === undefined || type === "job") searches.push(Search.searchJobs(q, limit));
+    if (type === undefined || type === "company") searches.push(Search.searchCompanies(q, limit));
+
+    const results = (await Promise.all(searches)).flat();
+    results.sort((a, b) => b.score - a.score);
+
+    return results.slice(0, limit);
+  }
+
+  /** Full-text search of job titles (see search).
+   *
+   * Returns [{ type: "job", score, snippet, id, title, salary, equity, companyHandle }, ...]
+   */
+
+  static async searchJobs(q, limit) {
+    const result = await db.query(
+          `SELECT 'job' AS "type",
+                  ts_rank(${JOB_DOCUMENT}, query) AS "score",
+                  ts_headline('english', ${escapeHtml("j.title")}, query) AS "snippet",
+                  j.id,
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  j.company_handle AS "companyHandle"
+           FROM jobs AS j,
+                websearch_to_tsquery('english', $1) AS query
+           WHERE ${JOB_DOCUMENT} @@ query
+           ORDER BY "score" DESC, j.id
+           LIMIT $2`,
+        [q, limit]);
+    return result.rows;
+  }
+
+  /** Full-text search of company names and descriptions (see search). Name
+   * matches rank above description matches.
+   *
+   * Returns [{ type: "company", score, snippet, handle, name, description, numEmployees, logoUrl }, ...]
+   */
+
+  static async searchCompanies(q, limit) {
+    const result = await db.query(
+          `SELECT 'company' AS "type",
+                  ts_rank(${COMPANY_DOCUMENT}, query) AS "score",
+                  ts_headline('english', ${escapeHtml("c.name || ': ' || c.description")}, query) AS "snippet",
+                  c.handle,
+                  c.name,
+                  c.description,
+                  c.num_employees AS "numEmployees",
+                  c.logo_url AS "logoUrl"
+           FROM companies AS c,
+                websearch_to_tsquery('english', $1) AS query
+           WHERE ${COMPANY_DOCUMENT} @@ query
+           ORDER BY "score" DESC, c.handle
+           LIMIT $2`,
+        [q, limit]);
+    return result.rows;
+  }
+}
+
+
+module.exports = Search;
@@ -0,0 +1,95 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** search */
+
+describe("search", function () {
+  test("works: jobs by title, with word stems", async function () {
+    const results = await Search.search("engineers");
+    expect(results).toEqual([{
+      type: "job",
+      score: expect.any(Number),
+      snippet: "<b>engineer</b>",
+      id: expect.any(Number),
+      title: "engineer",
+      salary: 80000,
+      equity: 0.05,
+      companyHandle: "c2",
+    }]);
+  });
+
+  test("works: companies by description", async function () {
+    const results = await Search.search("desc3");
+    expect(results).toEqual([{
+      type: "company",
+      score: expect.any(Number),
+      snippet: "C3: <b>Desc3</b>",
+      handle: "c3",
+      name: "C3",
+      description: "Desc3",
+      numEmployees: 3,
+      logoUrl: "http://c3.img",
+    }]);
+  });
+
+  test("works: snippets escape HTML in the text", async function () {
+    await db.query(`
+      UPDATE companies
+      SET description = 'We build <img src=x onerror=alert(1)> widgets & "gadgets"'
+      WHERE handle = 'c1'`);
+    await db.query(`UPDATE jobs SET title = '<i onclick=alert(1)>widgets</i>' WHERE company_handle = 'c1'`);
+    const results = await Search.search("widgets");
+    expect(results.map(r => r.snippet).sort()).toEqual([
+      "&lt;i onclick=alert(1)&gt;<b>widgets</b>&lt;/i&gt;",
+      "C1: We build &lt;img src=x onerror=alert(1)&gt; <b>widgets</b> &amp; &quot;gadgets&quot;",
+    ]);
+  });
+
+  test("works: ranks name matches above description matches", async function () {
+    await db.query(`
+      INSERT INTO companies (handle, name, num_employees, description)
+      VALUES ('robots', 'Robots Inc', 10, 'We build things.'),
+             ('builders', 'Builders', 10, 'We build robots.')`);
+    const results = await Search.search("robots");
+    expect(results.map(r => r.handle)).toEqual(["robots", "builders"]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test("works: mixes jobs and companies", async function () {
+    await db.query(`
+      INSERT INTO companies (handle, name, num_employees, description)
+      VALUES ('hiring', 'Hiring', 10, 'We hire managers.')`);
+    const results = await Search.search("manager");
+    // a job's title outranks a company's description
+    expect(results.map(r => r.type)).toEqual(["job", "company"]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test("works: type and limit", async function () {
+    const results = await Search.search("desc1 or desc2 or manager", { type: "company", limit: 1 });
+    expect(results.length).toEqual(1);
+    expect(results[0].type).toEqual("company");
+  });
+
+  test("works: web search syntax", async function () {
+    const results = await Search.search("manager or engineer -engineer");
+    expect(results.map(r => r.title)).toEqual(["manager"]);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Search.search("plumber")).toEqual([]);
+  });
+});
@@ -0,0 +1,264 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  CODE_PATTERN,
+} = require("../helpers/totp");
+const LoginThrottle = require("./loginThrottle");
+const config = require("../config");
+
+const BACKUP_CODE_COUNT = 10;
+
+/** Backup codes are shown as typed: ignore case, spaces and dashes. */
+
+function normalizeBackupCode(code) {
+  return code.toLowerCase().replace(/[\s-]/g, "");
+}
+
+/** Related functions for two-factor authentication (TOTP, see
+ * helpers/totp.js).
+ *
+ * A user enrolls by getting a secret for their authenticator app, then
+ * enables two-factor authentication by sending a code from it; that also
+ * gives them backup codes, each good for one login without the app. Once
+ * it's enabled, a right password only gets a challenge, which a code then
+ * exchanges for tokens (see POST /auth/token).
+ */
+
+class TwoFactor {
+  /** Start enrolling username: give them a new secret, replacing any from
+   * an earlier enrollment they didn't finish.
+   *
+   * Returns { secret, otpauthUri }
+   *
+   * Throws NotFoundError if the user is not found, and BadRequestError if
+   * two-factor authentication is already enabled.
+   **/
+
+  static async enroll(username) {
+    const user = await TwoFactor.getState(username);
+    if (user.totpEnabled) {
+      throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    await db.query(
+          `UPDATE users SET totp_secret = $2 WHERE username = $1`,
+        [username, secret],
+    );
+
+    return { secret, otpauthUri: otpauthUri(secret, username) };
+  }
+
+  /** Finish enrolling username with a code from their authenticator app,
+   * enabling two-factor authentication. This logs the user out everywhere
+   * (see RefreshToken), so sessions from logins without a code end.
+   *
+   * Returns { backupCodes: [code, ...] }; they're not stored as is, so this
+   * is the only time they can be shown.
+   *
+   * Throws NotFoundError if the user is not found, and BadRequestError if
+   * they haven't enrolled, are already enabled, or code is wrong.
+   **/
+
+  static async enable(username, code) {
+    const user = await TwoFactor.getState(username);
+    if (user.totpEnabled) {
+      throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+    if (!user.totpSecret) throw new BadRequestError("Not enrolled in two-factor authentication");
+
+    const step = verifyTotp(user.totpSecret, code);
+    if (step === null) throw new BadRequestError("Invalid two-factor code");
+
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT },
+        () => crypto.randomBytes(5).toString("hex"));
+    await db.query(
+          `WITH enabled AS (
+             UPDATE users
+             SET totp_enabled = TRUE, totp_last_step = $2
+             WHERE username = $1
+             RETURNING username),
+           old AS (
+             DELETE FROM backup_codes WHERE username = $1),
+           sessions AS (
+             UPDATE refresh_tokens
+             SET revoked_at = NOW()
+             WHERE username = $1 AND revoked_at IS NULL)
+           INSERT INTO backup_codes (username, code_hash)
+           SELECT enabled.username, code_hash
+           FROM enabled, unnest($3::text[]) AS code_hash`,
+        [username, step, backupCodes.map(hashToken)],
+    );
+
+    return { backupCodes };
+  }
+
+  /** Turn off two-factor authentication for username, given a code (or
+   * backup code) from ip (which may be null) to show it's them. Wrong codes
+   * count as failed logins (see LoginThrottle).
+   *
+   * Throws NotFoundError if the user is not found, BadRequestError if it
+   * isn't enabled, code is wrong, or the user is an admin and admins are
+   * required to use it (REQUIRE_ADMIN_2FA), and TooManyRequestsError if
+   * there were too many failed logins.
+   **/
+
+  static async disable(username, code, ip = null) {
+    const user = await TwoFactor.getState(username);
+    if (!user.totpEnabled) throw new BadRequestError("Two-factor authentication is not enabled");
+    if (user.isAdmin && config.REQUIRE_ADMIN_2FA) {
+      throw new BadRequestError("Admins must use two-factor authentication");
+    }
+
+    await LoginThrottle.check(username, ip);
+    if (!await TwoFactor.verifyCode(username, code)) {
+      await LoginThrottle.recordFailure(username, ip);
+      throw new BadRequestError("Invalid two-factor code");
+    }
+
+    await db.query(
+          `WITH codes AS (
+             DELETE FROM backup_codes WHERE username = $1)
+           UPDATE users
+           SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL
+           WHERE username = $1`,
+        [username],
+    );
+    await LoginThrottle.reset(username);
+  }
+
+  /** Is code a current code from username's authenticator app, or one of
+   * their unused backup codes? Either is used up if so.
+   *
+   * Returns true or false.
+   **/
+
+  static async verifyCode(username, code) {
+    const user = await TwoFactor.getState(username);
+    if (!user.totpEnabled) return false;
+
+    if (CODE_PATTERN.test(code)) {
+      const step = verifyTotp(user.totpSecret, code);
+      if (step === null) return false;
+
+      // only once per time step, so an overheard code can't be replayed
+      const result = await db.query(
+            `UPDATE users
+             SET totp_last_step = $2
+             WHERE username = $1
+               AND (totp_last_step IS NULL OR totp_last_step < $2)
+             RETURNING username`,
+          [username, step],
+      );
+      return result.rows.length > 0;
+    }
+
+    const result = await db.query(
+          `UPDATE backup_codes
+           SET used_at = NOW()
+           WHERE id = (SELECT id
+                       FROM backup_codes
+                       WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+                       LIMIT 1)
+           RETURNING id`,
+        [username, hashToken(normalizeBackupCode(code))],
+    );
+    return result.rows.length > 0;
+  }
+
+  /** Start the second step of a login for username, whose password was
+   * right.
+   *
+   * Returns the challenge token, which works for TWO_FACTOR_CHALLENGE_TTL
+   * seconds.
+   **/
+
+  static async createChallenge(username) {
+    const challenge = createOpaqueToken();
+    await db.query(
+          `INSERT INTO login_challenges (username, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+        [username, hashToken(challenge), config.TWO_FACTOR_CHALLENGE_TTL],
+    );
+    return challenge;
+  }
+
+  /** Finish a login: exchange challenge and a code (or backup code) from ip
+   * (which may be null). Wrong codes count as failed logins (see
+   * LoginThrottle).
+   *
+   * Returns { username }
+   *
+   * Throws UnauthorizedError if challenge is unknown, expired or used, or
+   * code is wrong, and TooManyRequestsError if there were too many failed
+   * logins.
+   **/
+
+  static async redeemChallenge(challenge, code, ip = null) {
+    const tokenHash = hashToken(challenge);
+    const result = await db.query(
+          `SELECT username
+           FROM login_challenges
+           WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()`,
+        [tokenHash],
+    );
+
+    const login = result.rows[0];
+    if (!login) throw new UnauthorizedError("Invalid or expired challenge; log in again");
+
+    await LoginThrottle.check(login.username, ip);
+    if (!await TwoFactor.verifyCode(login.username, code)) {
+      await LoginThrottle.recordFailure(login.username, ip);
+      throw new UnauthorizedError("Invalid two-factor code");
+    }
+
+    const used = await db.query(
+          `UPDATE login_challenges
+           SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL
+           RETURNING username`,
+        [tokenHash],
+    );
+    if (!used.rows[0]) throw new UnauthorizedError("Invalid or expired challenge; log in again");
+
+    await LoginThrottle.reset(login.username);
+    return { username: login.username };
+  }
+
+  /** Given a username, return their two-factor state.
+   *
+   * Returns { isAdmin, totpSecret, totpEnabled }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getState(username) {
+    const result = await db.query(
+          `SELECT is_admin AS "isAdmin",
+                  totp_secret AS "totpSecret",
+                  totp_enabled AS "totpEnabled"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
+}
+
+module.exports = TwoFactor;
@@ -0,0 +1,274 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+  TooManyRequestsError,
+} = require("../expressError");
+const TwoFactor = require("./twoFactor.js");
+const LoginThrottle = require("./loginThrottle.js");
+const RefreshToken = require("./refreshToken.js");
+const config = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  codeAt,
+  enableTwoFactor,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** enroll */
+
+describe("enroll", function () {
+  test("works", async function () {
+    const { secret, otpauthUri } = await TwoFactor.enroll("u1");
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toEqual(
+        `otpauth://totp/Jobly:u1?secret=${secret}&issuer=Jobly&algorithm=SHA1&digits=6&period=30`);
+    expect(await TwoFactor.getState("u1")).toEqual({
+      isAdmin: false,
+      totpSecret: secret,
+      totpEnabled: false,
+    });
+  });
+
+  test("enrolling again replaces the secret", async function () {
+    const first = await TwoFactor.enroll("u1");
+    const second = await TwoFactor.enroll("u1");
+    expect(second.secret).not.toEqual(first.secret);
+    expect((await TwoFactor.getState("u1")).totpSecret).toEqual(second.secret);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enableTwoFactor("u1");
+    await expect(TwoFactor.enroll("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.enroll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** enable */
+
+describe("enable", function () {
+  test("works", async function () {
+    const { backupCodes } = await enableTwoFactor("u1");
+    expect(backupCodes.length).toEqual(10);
+    expect(new Set(backupCodes).size).toEqual(10);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(true);
+
+    const stored = await db.query(
+        `SELECT code_hash FROM backup_codes WHERE username = 'u1'`);
+    expect(stored.rows.length).toEqual(10);
+    expect(stored.rows.map(r => r.code_hash)).not.toContain(backupCodes[0]);
+  });
+
+  test("logs the user out everywhere", async function () {
+    const token = await RefreshToken.create("u1");
+    const other = await RefreshToken.create("u2");
+    await enableTwoFactor("u1");
+    await expect(RefreshToken.rotate(token)).rejects.toThrow(UnauthorizedError);
+    expect((await RefreshToken.rotate(other)).username).toEqual("u2");
+  });
+
+  test("bad request with wrong code", async function () {
+    await TwoFactor.enroll("u1");
+    await expect(TwoFactor.enable("u1", "000000")).rejects.toThrow(BadRequestError);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(false);
+  });
+
+  test("bad request if not enrolled", async function () {
+    await expect(TwoFactor.enable("u1", "123456")).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if already enabled", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    await expect(TwoFactor.enable("u1", codeAt(secret, 0))).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** verifyCode */
+
+describe("verifyCode", function () {
+  test("works: authenticator code", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    expect(await TwoFactor.verifyCode("u1", codeAt(secret, 0))).toEqual(true);
+  });
+
+  test("a code only works once", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const code = codeAt(secret, 0);
+    expect(await TwoFactor.verifyCode("u1", code)).toEqual(true);
+    expect(await TwoFactor.verifyCode("u1", code)).toEqual(false);
+    // nor do earlier steps' codes, once a later one was used
+    expect(await TwoFactor.verifyCode("u1", codeAt(secret, -1))).toEqual(false);
+    expect(await TwoFactor.verifyCode("u1", codeAt(secret, 1))).toEqual(true);
+  });
+
+  test("works: backup code, once", async function () {
+    const { backupCodes } = await enableTwoFactor("u1");
+    expect(await TwoFactor.verifyCode("u1", backupCodes[0])).toEqual(true);
+    expect(await TwoFactor.verifyCode("u1", backupCodes[0])).toEqual(false);
+    expect(await TwoFactor.verifyCode("u1", backupCodes[1])).toEqual(true);
+  });
+
+  test("works: backup code as typed", async function () {
+    const { backupCodes } = await enableTwoFactor("u1");
+    const typed = `${backupCodes[0].slice(0, 5)}-${backupCodes[0].slice(5)}`.toUpperCase();
+    expect(await TwoFactor.verifyCode("u1", typed)).toEqual(true);
+  });
+
+  test("false for wrong codes", async function () {
+    await enableTwoFactor("u1");
+    expect(await TwoFactor.verifyCode("u1", "000000")).toEqual(false);
+    expect(await TwoFactor.verifyCode("u1", "notacode00")).toEqual(false);
+  });
+
+  test("false if not enabled", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    expect(await TwoFactor.verifyCode("u1", codeAt(secret, 0))).toEqual(false);
+  });
+
+  test("another user's backup codes don't work", async function () {
+    const { backupCodes } = await enableTwoFactor("u1");
+    await enableTwoFactor("u2");
+    expect(await TwoFactor.verifyCode("u2", backupCodes[0])).toEqual(false);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    await TwoFactor.disable("u1", codeAt(secret, 0));
+    expect(await TwoFactor.getState("u1")).toEqual({
+      isAdmin: false,
+      totpSecret: null,
+      totpEnabled: false,
+    });
+    const stored = await db.query(`SELECT id FROM backup_codes WHERE username = 'u1'`);
+    expect(stored.rows).toEqual([]);
+  });
+
+  test("works: backup code", async function () {
+    const { backupCodes } = await enableTwoFactor("u1");
+    await TwoFactor.disable("u1", backupCodes[0]);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(false);
+  });
+
+  test("bad request with wrong code", async function () {
+    await enableTwoFactor("u1");
+    await expect(TwoFactor.disable("u1", "000000")).rejects.toThrow(BadRequestError);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(true);
+  });
+
+  test("bad request if not enabled", async function () {
+    await expect(TwoFactor.disable("u1", "000000")).rejects.toThrow(BadRequestError);
+  });
+
+  test("wrong codes count as failed logins", async function () {
+    await enableTwoFactor("u1");
+    await expect(TwoFactor.disable("u1", "000000", "1.2.3.4"))
+        .rejects.toThrow("Invalid two-factor code");
+
+    const throttles = await db.query(
+        `SELECT kind, key, failures FROM login_throttles ORDER BY kind`);
+    expect(throttles.rows).toEqual([
+      { kind: "ip", key: "1.2.3.4", failures: 1 },
+      { kind: "username", key: "u1", failures: 1 },
+    ]);
+  });
+
+  test("too many requests after too many failures, even with the right code", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    for (let i = 0; i < config.LOGIN_MAX_FAILURES; i++) {
+      await LoginThrottle.recordFailure("u1", null);
+    }
+    await expect(TwoFactor.disable("u1", codeAt(secret, 0)))
+        .rejects.toThrow(TooManyRequestsError);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(true);
+  });
+
+  test("bad request for admins if required", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    await db.query(`UPDATE users SET is_admin = TRUE WHERE username = 'u1'`);
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      await expect(TwoFactor.disable("u1", codeAt(secret, 0)))
+          .rejects.toThrow("Admins must use two-factor authentication");
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+});
+
+/************************************** createChallenge, redeemChallenge */
+
+describe("redeemChallenge", function () {
+  test("works", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const challenge = await TwoFactor.createChallenge("u1");
+    expect(await TwoFactor.redeemChallenge(challenge, codeAt(secret, 0)))
+        .toEqual({ username: "u1" });
+  });
+
+  test("works: backup code", async function () {
+    const { backupCodes } = await enableTwoFactor("u1");
+    const challenge = await TwoFactor.createChallenge("u1");
+    expect(await TwoFactor.redeemChallenge(challenge, backupCodes[0]))
+        .toEqual({ username: "u1" });
+  });
+
+  test("a challenge only works once", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const challenge = await TwoFactor.createChallenge("u1");
+    await TwoFactor.redeemChallenge(challenge, codeAt(secret, 0));
+    await expect(TwoFactor.redeemChallenge(challenge, codeAt(secret, 1)))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for unknown or expired challenges", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    await expect(TwoFactor.redeemChallenge("nope", codeAt(secret, 0)))
+        .rejects.toThrow(UnauthorizedError);
+
+    const challenge = await TwoFactor.createChallenge("u1");
+    await db.query(`UPDATE login_challenges SET expires_at = NOW() - INTERVAL '1 second'`);
+    await expect(TwoFactor.redeemChallenge(challenge, codeAt(secret, 0)))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("wrong codes count as failed logins", async function () {
+    await enableTwoFactor("u1");
+    const challenge = await TwoFactor.createChallenge("u1");
+    await expect(TwoFactor.redeemChallenge(challenge, "000000", "1.2.3.4"))
+        .rejects.toThrow("Invalid two-factor code");
+
+    const throttles = await db.query(
+        `SELECT kind, key, failures FROM login_throttles ORDER BY kind`);
+    expect(throttles.rows).toEqual([
+      { kind: "ip", key: "1.2.3.4", failures: 1 },
+      { kind: "username", key: "u1", failures: 1 },
+    ]);
+  });
+
+  test("too many requests after too many failures, even with the right code", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    for (let i = 0; i < config.LOGIN_MAX_FAILURES; i++) {
+      await LoginThrottle.recordFailure("u1", null);
+    }
+    const challenge = await TwoFactor.createChallenge("u1");
+    await expect(TwoFactor.redeemChallenge(challenge, codeAt(secret, 0)))
+        .rejects.toThrow(TooManyRequestsError);
+  });
+});
@@ -2,26 +2,67 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForFilter, sqlForPagination } = require("../helpers/sql");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
+  ForbiddenError,
 } = require("../expressError");
+const Application = require("./application");
+const LoginThrottle = require("./loginThrottle");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+/** Query parameters users can be filtered on, and the SQL they map to.
+ *
+ * This is the whitelist handed to sqlForFilter: nothing else reaches the query.
+ */
+
+const USER_FILTERS = {
+  username: { column: "username", op: "contains" },
+  firstName: { column: "first_name", op: "contains" },
+  lastName: { column: "last_name", op: "contains" },
+  email: { column: "email", op: "contains" },
+  isAdmin: { column: "is_admin", op: "eq" },
+};
+
+/** Set jobs on each of users to the applications they made (see
+ * Application.findForUsers).
+ */
+
+async function attachApplications(users) {
+  const applications = await Application.findForUsers(users.map(u => u.username));
+
+  for (const user of users) user.jobs = [];
+  const byUsername = new Map(users.map(u => [u.username, u]));
+  for (const { username, ...application } of applications) {
+    byUsername.get(username).jobs.push(application);
+  }
+}
+
 /** Related functions for users. */
 
 class User {
-  /** authenticate user with username, password.
+  /** authenticate user with username, password, logging in from ip (which
+   * may be null).
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, totpEnabled,
+   *   companies }
+   *   where companies is { companyHandle: role, ... } for the companies the
+   *   user is a member of. If totpEnabled, the login isn't done until the
+   *   user gives a two-factor code too (see TwoFactor.redeemChallenge), so
+   *   their failed logins are only forgotten then.
    *
-   * Throws UnauthorizedError is user not found or wrong password.
+   * Throws UnauthorizedError is user not found or wrong password, and
+   * TooManyRequestsError if the username or ip has failed too often lately
+   * (see LoginThrottle): then even the right password is refused.
    **/
 
-  static async authenticate(username, password) {
+  static async authenticate(username, password, ip = null) {
+    await LoginThrottle.check(username, ip);
+
     // try to find the user first
     const result = await db.query(
           `SELECT username,
@@ -29,7 +70,8 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  totp_enabled AS "totpEnabled"
            FROM users
            WHERE username = $1`,
         [username],
@@ -42,26 +84,75 @@ class User {
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
         delete user.password;
+        user.companies = await User.getMemberships(username);
+        if (!user.totpEnabled) await LoginThrottle.reset(username);
         return user;
       }
     }
 
+    await LoginThrottle.recordFailure(username, ip);
     throw new UnauthorizedError("Invalid username/password");
   }
 
+  /** Given a username, return the companies the user is a member of.
+   *
+   * Returns { companyHandle: role, ... }
+   **/
+
+  static async getMemberships(username) {
+    const result = await db.query(
+          `SELECT company_handle AS "companyHandle", role
+           FROM company_members
+           WHERE username = $1`,
+        [username],
+    );
+
+    return Object.fromEntries(result.rows.map(m => [m.companyHandle, m.role]));
+  }
+
+  /** Given a username, return what an access token says about the user
+   * (see createToken), e.g. to issue a new one on refresh.
+   *
+   * Returns { username, isAdmin, companies }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getForToken(username) {
+    const result = await db.query(
+          `SELECT username, is_admin AS "isAdmin"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    user.companies = await User.getMemberships(username);
+    return user;
+  }
+
   /** Register user with data.
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicates, including usernames with an open
+   * invitation (see Invitation).
    **/
 
   static async register(
       { username, password, firstName, lastName, email, isAdmin }) {
+    // usernames with an open invitation are kept for the invitee
     const duplicateCheck = await db.query(
           `SELECT username
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1
+           UNION ALL
+           SELECT username
+           FROM invitations
+           WHERE username = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
         [username],
     );
 
@@ -98,41 +189,104 @@ class User {
 
   /** Apply to a job. 
    * 
-   * Creates a new job application for a user with username & jobId params and optional state.
+   * Creates a new job application for a user with username & jobId params.
+   * Every application starts out "applied"; see Application for how it moves on.
+   * The application's history starts with an event recording who applied
+   * (actor, defaulting to the user themselves).
+   *
+   * data can include { coverLetter, resume }, where resume is an uploaded
+   * file, as for Application.storeResume. It's stored before the
+   * application is made, and deleted again if that fails, so there's never
+   * an application missing the resume it was made with.
    *
    * Returns [jobId, state]
    * 
-   * Throws Not Found Error if username or jobId does not exist.
+   * Throws Not Found Error if username or jobId does not exist,
+   * ForbiddenError if the user hasn't verified their email (see
+   * EmailVerification), and ConflictError if the user already applied to
+   * the job.
   */
 
-  static async apply(username, jobId, state="applied") {
+  static async apply(username, jobId, actor = username, { coverLetter = null, resume = null } = {}) {
     const user = await db.query(
-      `SELECT username FROM users
+      `SELECT username, email_verified AS "emailVerified" FROM users
         WHERE username = $1`, [username]);
     
     if (!user.rows[0]) throw new NotFoundError(`No user ${username}`);
 
+    if (!user.rows[0].emailVerified) {
+      throw new ForbiddenError(`${username} must verify their email before applying`);
+    }
+
     const job = await db.query(
       `SELECT id FROM jobs
         WHERE id = $1`, [jobId]);
     
     if (!job.rows[0]) throw new NotFoundError(`No job ${jobId}`);
 
-    const application = await db.query(
-      `INSERT INTO applications
-        (app_state, username, job_id)
-        VALUES ($1, $2, $3)
-        RETURNING job_id AS "jobId", app_state AS "state"`, [state, username, jobId]);
+    const stored = resume ? await Application.storeResume(resume) : null;
+
+    // a duplicate inserts nothing, rather than failing on the primary key,
+    // so concurrent applies can't slip past a check made beforehand
+    let application;
+    try {
+      application = await db.query(
+        `WITH application AS (
+           INSERT INTO applications
+             (username, job_id, cover_letter,
+              resume_key, resume_filename, resume_content_type, resume_size)
+             VALUES ($1, $2, $4, $5, $6, $7, $8)
+             ON CONFLICT (username, job_id) DO NOTHING
+             RETURNING username, job_id, app_state
+         ), event AS (
+           INSERT INTO application_events
+             (username, job_id, to_state, actor)
+             SELECT username, job_id, app_state, $3 FROM application
+         )
+         SELECT job_id AS "jobId", app_state AS "state" FROM application`,
+        [
+          username,
+          jobId,
+          actor,
+          coverLetter,
+          stored && stored.key,
+          stored && stored.filename,
+          stored && stored.contentType,
+          stored && stored.size,
+        ]);
+    } catch (err) {
+      if (stored) await Application.removeResumeFiles([stored.key]);
+      throw err;
+    }
+
+    if (!application.rows[0]) {
+      if (stored) await Application.removeResumeFiles([stored.key]);
+      throw new ConflictError(`${username} already applied to job ${jobId}`);
+    }
 
     return [application.rows[0].jobId, application.rows[0].state]
   }
 
-  /** Find all users.
+  /** Find all users, optionally narrowed by filters.
+   *
+   * filters can include (see USER_FILTERS):
+   * - username, firstName, lastName, email: case-insensitive, partial match
+   * - isAdmin: exact match
+   *
+   * pagination is optional { limit, offset }; without a limit all rows return.
+   *
+   * With { applications: true } as options, each user also gets jobs, as in get.
    *
    * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   *
+   * Throws BadRequestError for an unknown filter.
    **/
 
-  static async findAll() {
+  static async findAll(filters = {}, pagination = {}, options = {}) {
+    const { whereClause, values } = sqlForFilter(filters, USER_FILTERS);
+    const { limitClause, values: limitValues } = sqlForPagination(
+        pagination, values.length + 1);
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
@@ -140,16 +294,39 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           ORDER BY username`,
+           ${whereClause}
+           ORDER BY username
+           ${limitClause}`,
+        [...values, ...limitValues],
     );
 
+    if (options.applications) await attachApplications(result.rows);
+
     return result.rows;
   }
 
+  /** Count the users matching filters (see findAll).
+   *
+   * Returns total number of matching users.
+   **/
+
+  static async count(filters = {}) {
+    const { whereClause, values } = sqlForFilter(filters, USER_FILTERS);
+
+    const result = await db.query(
+          `SELECT COUNT(*) AS "total"
+           FROM users
+           ${whereClause}`,
+        values,
+    );
+
+    return +result.rows[0].total;
+  }
+
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs: [jobId, jobId...]
+   * Returns { username, first_name, last_name, email, emailVerified, is_admin, jobs }
+   *   where jobs is [{ id, title, companyHandle, companyName, salary, state, appliedAt, updatedAt }, ...]
    *
    * Throws NotFoundError if user not found.
    **/
@@ -160,6 +337,7 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
+                  email_verified AS "emailVerified",
                   is_admin AS "isAdmin"
            FROM users
            WHERE username = $1`,
@@ -170,12 +348,7 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
-    const apps = await db.query(
-      `SELECT job_id AS "jobId"
-        FROM applications
-        WHERE username = $1`, [username]);
-    
-    user.jobs = apps.rows.map(app => app.jobId);
+    await attachApplications([user]);
 
     return user;
   }
@@ -188,7 +361,9 @@ class User {
    * Data can include:
    *   { firstName, lastName, password, email, isAdmin }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Changing the email unverifies it (see EmailVerification).
+   *
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
    *
    * Throws NotFoundError if not found.
    *
@@ -211,13 +386,20 @@ class User {
         });
     const usernameVarIdx = "$" + (values.length + 1);
 
+    // on the right of SET, email is still the old one
+    const emailIdx = Object.keys(data).indexOf("email");
+    const verifiedCol = emailIdx === -1
+        ? ""
+        : `, email_verified = email_verified AND email = $${emailIdx + 1}`;
+
     const querySql = `UPDATE users 
-                      SET ${setCols} 
+                      SET ${setCols}${verifiedCol} 
                       WHERE username = ${usernameVarIdx} 
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
                                 email,
+                                email_verified AS "emailVerified",
                                 is_admin AS "isAdmin"`;
     const result = await db.query(querySql, [...values, username]);
     const user = result.rows[0];
@@ -228,19 +410,30 @@ class User {
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Delete given user from database, along with their applications and
+   * the resumes uploaded with them; returns undefined. */
 
   static async remove(username) {
     let result = await db.query(
-          `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
+          `WITH resumes AS (
+             SELECT resume_key
+             FROM applications
+             WHERE username = $1 AND resume_key IS NOT NULL
+           ), deleted AS (
+             DELETE
+             FROM users
+             WHERE username = $1
+             RETURNING username
+           )
+           SELECT username, ARRAY(SELECT resume_key FROM resumes) AS "resumeKeys"
+           FROM deleted`,
         [username],
     );
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await Application.removeResumeFiles(user.resumeKeys);
   }
 }
 
@@ -4,14 +4,22 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
+  ForbiddenError,
+  TooManyRequestsError,
 } = require("../expressError");
+const { LOGIN_MAX_FAILURES } = require("../config");
 const db = require("../db.js");
 const User = require("./user.js");
+const Application = require("./application.js");
+const { setStorage } = require("../helpers/storage");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  useMemoryStorage,
+  testResume,
   testJobs
 } = require("./_testCommon");
 
@@ -23,6 +31,11 @@ afterAll(commonAfterAll);
 /************************************** authenticate */
 
 describe("authenticate", function () {
+  // NOW() stands still inside the test's transaction, so backoffs never end
+  async function waitOutBackoff() {
+    await db.query(`UPDATE login_throttles SET locked_until = NULL`);
+  }
+
   test("works", async function () {
     const user = await User.authenticate("u1", "password1");
     expect(user).toEqual({
@@ -31,9 +44,19 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      totpEnabled: false,
+      companies: {},
     });
   });
 
+  test("works: with company memberships", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+        VALUES ('u1', 'c1', 'recruiter')`);
+    const user = await User.authenticate("u1", "password1");
+    expect(user.companies).toEqual({ c1: "recruiter" });
+  });
+
   test("unauth if no such user", async function () {
     try {
       await User.authenticate("nope", "password");
@@ -51,6 +74,68 @@ describe("authenticate", function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+  test("too many requests after too many failures, even with the right password", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await waitOutBackoff();
+      await expect(User.authenticate("u1", "wrong", "1.2.3.4"))
+          .rejects.toBeInstanceOf(UnauthorizedError);
+    }
+    try {
+      await User.authenticate("u1", "password1", "5.6.7.8");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+  });
+
+  test("logging in forgets earlier failures", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES - 1; i++) {
+      await waitOutBackoff();
+      await expect(User.authenticate("u1", "wrong")).rejects.toBeInstanceOf(UnauthorizedError);
+    }
+    await waitOutBackoff();
+    await User.authenticate("u1", "password1");
+
+    // were the failures still counted, this one would lock u1 out
+    await expect(User.authenticate("u1", "wrong")).rejects.toBeInstanceOf(UnauthorizedError);
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("with two-factor authentication, the password alone doesn't forget failures", async function () {
+    await db.query(`UPDATE users SET totp_enabled = TRUE WHERE username = 'u1'`);
+    await expect(User.authenticate("u1", "wrong")).rejects.toBeInstanceOf(UnauthorizedError);
+    const user = await User.authenticate("u1", "password1");
+    expect(user.totpEnabled).toEqual(true);
+
+    const throttles = await db.query(
+        `SELECT failures FROM login_throttles WHERE kind = 'username' AND key = 'u1'`);
+    expect(throttles.rows).toEqual([{ failures: 1 }]);
+  });
+});
+
+/************************************** getForToken */
+
+describe("getForToken", function () {
+  test("works", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle) VALUES ('u1', 'c1')`);
+    const user = await User.getForToken("u1");
+    expect(user).toEqual({
+      username: "u1",
+      isAdmin: false,
+      companies: { c1: "recruiter" },
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.getForToken("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** register */
@@ -104,6 +189,22 @@ describe("register", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("bad request for a username with an open invitation", async function () {
+    await db.query(
+        `INSERT INTO invitations
+         (username, first_name, last_name, email, token_hash, expires_at)
+         VALUES ('new', 'Test', 'Tester', 'test@test.com', 'hash', NOW() + INTERVAL '1 day')`);
+    try {
+      await User.register({
+        ...newUser,
+        password: "password",
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** apply */
@@ -115,10 +216,75 @@ describe("apply", () => {
     expect(jobId).toEqual([testJobs[2].rows[0].id, "applied"]);
   });
 
-  test("works with state included", async () => {
-    const jobId = await User.apply("u1", testJobs[2].rows[0].id, "accepted");
+  test("works with cover letter", async () => {
+    await User.apply("u1", testJobs[2].rows[0].id, "u1", { coverLetter: "Hire me" });
 
-    expect(jobId).toEqual([testJobs[2].rows[0].id, "accepted"]);
+    const result = await db.query(
+      `SELECT cover_letter FROM applications
+        WHERE username = 'u1' AND job_id = $1`, [testJobs[2].rows[0].id]);
+    expect(result.rows[0].cover_letter).toEqual("Hire me");
+  });
+
+  test("records who applied", async () => {
+    await User.apply("u1", testJobs[2].rows[0].id, "u2");
+
+    const result = await db.query(
+      `SELECT from_state, to_state, actor FROM application_events
+        WHERE username = 'u1' AND job_id = $1`, [testJobs[2].rows[0].id]);
+    expect(result.rows).toEqual([{ from_state: null, to_state: "applied", actor: "u2" }]);
+  });
+
+  test("conflict when applying twice", async () => {
+    try {
+      await User.apply("u1", testJobs[0].rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+
+  test("works with resume", async () => {
+    const files = useMemoryStorage();
+    const jobId = testJobs[2].rows[0].id;
+    await User.apply("u1", jobId, "u1", { resume: testResume });
+
+    const application = await Application.get("u1", jobId);
+    expect(application.resume).toEqual({
+      filename: "resume.pdf",
+      contentType: "application/pdf",
+      size: 13,
+    });
+    expect((await Application.getResume("u1", jobId)).data).toEqual(testResume.buffer);
+    expect(files.size).toEqual(1);
+  });
+
+  test("conflict doesn't keep the resume", async () => {
+    const files = useMemoryStorage();
+    await expect(User.apply("u1", testJobs[0].rows[0].id, "u1", { resume: testResume }))
+        .rejects.toThrow(ConflictError);
+    expect(files.size).toEqual(0);
+  });
+
+  test("no application if the resume can't be stored", async () => {
+    const jobId = testJobs[2].rows[0].id;
+    setStorage({ async save() { throw new Error("disk full"); } });
+    await expect(User.apply("u1", jobId, "u1", { resume: testResume }))
+        .rejects.toThrow("disk full");
+
+    const result = await db.query(
+      `SELECT username FROM applications WHERE username = 'u1' AND job_id = $1`, [jobId]);
+    expect(result.rows).toEqual([]);
+  });
+
+  test("conflict when applying twice at once", async () => {
+    const jobId = testJobs[2].rows[0].id;
+    const results = await Promise.allSettled([
+      User.apply("u1", jobId),
+      User.apply("u1", jobId),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    const rejected = results.find(r => r.status === "rejected");
+    expect(rejected.reason instanceof ConflictError).toBeTruthy();
   });
 
   test("not found for no job", async () => {
@@ -137,6 +303,15 @@ describe("apply", () => {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+  test("forbidden until the email is verified", async () => {
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+    try {
+      await User.apply("u1", testJobs[2].rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** findAll */
@@ -161,6 +336,52 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: with filters", async function () {
+    const users = await User.findAll({ firstName: "u2", isAdmin: false });
+    expect(users).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        isAdmin: false,
+      },
+    ]);
+  });
+
+  test("bad request for a filter not in the whitelist", async function () {
+    expect.assertions(1);
+    try {
+      await User.findAll({ password: "password1" });
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await User.count()).toEqual(2);
+    expect(await User.count({ username: "u1" })).toEqual(1);
+  });
+});
+
+/************************************** findAll with applications */
+
+describe("findAll with applications", function () {
+  test("works", async function () {
+    const users = await User.findAll({}, {}, { applications: true });
+    expect(users.map(u => u.jobs.map(j => j.title))).toEqual([["manager"], ["engineer"]]);
+  });
+
+  test("empty jobs for users without applications", async function () {
+    await db.query(`DELETE FROM applications WHERE username = 'u2'`);
+    const users = await User.findAll({ username: "u2" }, {}, { applications: true });
+    expect(users[0].jobs).toEqual([]);
+  });
 });
 
 /************************************** get */
@@ -173,8 +394,20 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       isAdmin: false,
-      jobs: [ testJobs[0].rows[0].id ]
+      jobs: [
+        {
+          id: testJobs[0].rows[0].id,
+          title: "manager",
+          companyHandle: "c1",
+          companyName: "C1",
+          salary: 65000,
+          state: "applied",
+          appliedAt: expect.any(Date),
+          updatedAt: expect.any(Date),
+        },
+      ],
     });
   });
 
@@ -203,9 +436,15 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      emailVerified: false,
     });
   });
 
+  test("works: same email stays verified", async function () {
+    const user = await User.update("u1", { email: "u1@email.com" });
+    expect(user.emailVerified).toEqual(true);
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
       password: "new",
@@ -215,6 +454,7 @@ describe("update", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       isAdmin: false,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
@@ -254,6 +494,16 @@ describe("remove", function () {
     expect(res.rows.length).toEqual(0);
   });
 
+  test("removes the resumes of the user's applications", async function () {
+    const files = useMemoryStorage();
+    await User.apply("u1", testJobs[1].rows[0].id, "u1", { resume: testResume });
+    await User.apply("u2", testJobs[0].rows[0].id, "u2", { resume: testResume });
+    expect(files.size).toEqual(2);
+
+    await User.remove("u1");
+    expect(files.size).toEqual(1);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.remove("nope");
@@ -5,6 +5,15 @@ const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
 const { createToken } = require("../helpers/tokens");
+const { getMailer } = require("../helpers/mailer");
+const { getStorage, setStorage } = require("../helpers/storage");
+const {
+  useMemoryStorage,
+  codeAt,
+  enableTwoFactor,
+} = require("../models/_testCommon");
+
+const defaultStorage = getStorage();
 
 let testJobs = [];
 
@@ -91,8 +100,10 @@ async function commonBeforeAll() {
     equity: 0,
     companyHandle: "c3"
   });
+  await db.query("UPDATE users SET email_verified = TRUE");
   await User.apply("u1", testJobs[0].id);
   await User.apply("u2", testJobs[1].id);
+  await Company.addMember("c1", "u3");
 }
 
 async function commonBeforeEach() {
@@ -101,6 +112,7 @@ async function commonBeforeEach() {
 
 async function commonAfterEach() {
   await db.query("ROLLBACK");
+  setStorage(defaultStorage);
 }
 
 async function commonAfterAll() {
@@ -108,17 +120,32 @@ async function commonAfterAll() {
 }
 
 
+/** The token in the latest link mailed to email (see helpers/mailer). */
+
+async function mailedToken(email) {
+  const [mail] = await getMailer().sentTo(email);
+  return mail.text.match(/token=([\w-]+)/)[1];
+}
+
+
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const u2Token = createToken({ username: "u2", isAdmin: false });
 const a1Token = createToken({ username: "a1", isAdmin: true });
+// u3 is a recruiter for c1
+const u3Token = createToken({ username: "u3", isAdmin: false, companies: { c1: "recruiter" } });
 
 module.exports = {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  useMemoryStorage,
   u1Token,
   u2Token,
   a1Token,
+  u3Token,
+  mailedToken,
+  codeAt,
+  enableTwoFactor,
   testJobs
 };
@@ -5,16 +5,61 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const PasswordReset = require("../models/passwordReset");
+const Invitation = require("../models/invitation");
+const EmailVerification = require("../models/emailVerification");
+const TwoFactor = require("../models/twoFactor");
+const { authorize } = require("../middleware/auth");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const invitationAcceptSchema = require("../schemas/invitationAccept.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const twoFactorEnrollSchema = require("../schemas/twoFactorEnroll.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const twoFactorDisableSchema = require("../schemas/twoFactorDisable.json");
+const twoFactorChallengeSchema = require("../schemas/twoFactorChallenge.json");
 const { BadRequestError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** The resource (see helpers/policy.js) a request about the logged in user
+ * themselves is for.
+ */
+
+function currentUserResource(req, res) {
+  return { username: res.locals.user.username };
+}
+
+/** Issue an access token for user, and a refresh token starting a new family.
+ * user.mfa says whether they gave a two-factor code to log in.
+ *
+ * Returns { token, refreshToken }
+ */
+
+async function issueTokens(user) {
+  return {
+    token: createToken(user),
+    refreshToken: await RefreshToken.create(user.username, { mfa: user.mfa || false }),
+  };
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *                                            or { challenge }
+ *
+ * Returns JWT token which can be used to authenticate further requests. It
+ * expires soon; use refreshToken to get another (see POST /auth/refresh).
+ *
+ * If the user has two-factor authentication enabled, returns a challenge
+ * instead, to exchange for the tokens with a code (see POST
+ * /auth/2fa/challenge).
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Repeated failures for a username or from an IP address get 429 responses,
+ * with a Retry-After header, for a while (see LoginThrottle).
  *
  * Authorization required: none
  */
@@ -28,20 +73,140 @@ router.post("/token", async function (req, res, next) {
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const user = await User.authenticate(username, password, req.ip);
+    if (user.totpEnabled) {
+      return res.json({ challenge: await TwoFactor.createChallenge(user.username) });
+    }
+    return res.json(await issueTokens(user));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/2fa/challenge:  { challenge, code } => { token, refreshToken }
+ *
+ * Finishes a login with two-factor authentication: challenge is from POST
+ * /auth/token, and code is from the user's authenticator app, or one of
+ * their backup codes. Wrong codes count as failed logins, as for POST
+ * /auth/token. The tokens record that the login gave a code (mfa), which
+ * admins need when REQUIRE_ADMIN_2FA is set.
+ *
+ * Authorization required: none (the challenge is the credential)
+ */
+
+router.post("/2fa/challenge", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorChallengeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { challenge, code } = req.body;
+    const { username } = await TwoFactor.redeemChallenge(challenge, code, req.ip);
+    const user = await User.getForToken(username);
+    return res.json(await issueTokens({ ...user, mfa: true }));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/2fa/enroll:  { password } => { secret, otpauthUri }
+ *
+ * Starts two-factor authentication for the logged in user: add secret to an
+ * authenticator app (otpauthUri is the same, usually shown as a QR code),
+ * then send a code from it to POST /auth/2fa/verify.
+ *
+ * The user's password is needed too, as for POST /auth/token (and wrong ones
+ * count as failed logins): otherwise anyone with their access token could
+ * enroll their own authenticator and lock them out.
+ *
+ * Authorization required: user:two-factor (see helpers/policy.js)
+ */
+
+router.post("/2fa/enroll", authorize("user:two-factor", currentUserResource), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorEnrollSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = res.locals.user;
+    await User.authenticate(username, req.body.password, req.ip);
+    const enrollment = await TwoFactor.enroll(username);
+    return res.json(enrollment);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/2fa/verify:  { code } => { backupCodes }
+ *
+ * Finishes enrolling the logged in user, with a code from their
+ * authenticator app, and enables two-factor authentication: from now on
+ * logging in needs a code too. backupCodes each work once instead of a code,
+ * and aren't shown again. This logs the user out everywhere (their refresh
+ * tokens stop working), this login included: log in again, with a code.
+ *
+ * Authorization required: user:two-factor (see helpers/policy.js)
+ */
+
+router.post("/2fa/verify", authorize("user:two-factor", currentUserResource), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { backupCodes } = await TwoFactor.enable(res.locals.user.username, req.body.code);
+    return res.json({ backupCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/2fa/disable:  { password, code } => { disabled: username }
+ *
+ * Turns off two-factor authentication for the logged in user, given their
+ * password and a code (or backup code). Wrong ones of either count as failed
+ * logins, as for POST /auth/token, so a stolen token can't be used to guess
+ * codes. Admins can't when REQUIRE_ADMIN_2FA is set.
+ *
+ * Authorization required: user:two-factor (see helpers/policy.js)
+ */
+
+router.post("/2fa/disable", authorize("user:two-factor", currentUserResource), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorDisableSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = res.locals.user;
+    const { password, code } = req.body;
+    await User.authenticate(username, password, req.ip);
+    await TwoFactor.disable(username, code, req.ip);
+    return res.json({ disabled: username });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, as
+ * for POST /auth/token. A link to verify the email is mailed to it; the user
+ * can't apply to jobs until they follow it (see GET /auth/verify-email).
  *
  * Authorization required: none
  */
@@ -55,8 +220,174 @@ router.post("/register", async function (req, res, next) {
     }
 
     const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    await EmailVerification.send(newUser.username);
+    return res.status(201).json(await issueTokens(newUser));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/verify-email?token=   => { verified: username }
+ *
+ * token is from the link mailed on registration (or when the user changes
+ * their email). Marks the user's email verified.
+ *
+ * Authorization required: none (the token is the credential)
+ */
+
+router.get("/verify-email", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.query, emailVerifySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = await EmailVerification.verify(req.query.token);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email/resend   => { message }
+ *
+ * Mails the logged in user a new link to verify their email, e.g. when the
+ * last one expired.
+ *
+ * Authorization required: user:verify-email (see helpers/policy.js)
+ */
+
+router.post("/verify-email/resend", authorize("user:verify-email", currentUserResource), async function (req, res, next) {
+  try {
+    await EmailVerification.send(res.locals.user.username);
+    return res.json({ message: "Verification link sent" });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/accept-invite:   { token, password } => { token, refreshToken }
+ *
+ * token is from the invitation link (see POST /users). Creates the invited
+ * user with password, and logs them in, as for POST /auth/token.
+ *
+ * Authorization required: none (the token is the credential)
+ */
+
+router.post("/accept-invite", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, invitationAcceptSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const user = await Invitation.accept(req.body.token, req.body.password);
+    return res.status(201).json(await issueTokens(user));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Returns a new JWT token, and the refresh token to use next time: each
+ * refresh token works once. Reusing one logs out every session that came
+ * from the same login.
+ *
+ * Authorization required: none (the refresh token is the credential)
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username, mfa, refreshToken } = await RefreshToken.rotate(req.body.refreshToken);
+    const user = await User.getForToken(username);
+    return res.json({ token: createToken({ ...user, mfa }), refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the refresh token, and any others from the same login. Access
+ * tokens already handed out stay valid until they expire.
+ *
+ * Authorization required: none (the refresh token is the credential)
+ */
+
+router.post("/logout", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = await RefreshToken.revoke(req.body.refreshToken);
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:   { email } => { message }
+ *
+ * Mails a link for resetting their password to the users with email. The
+ * response is the same whether or not there are any.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.request(req.body.email);
+    return res.json({
+      message: "If an account has that email, a password reset link is on its way",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { passwordReset: username }
+ *
+ * token is from the password reset link. Sets the user's password, and logs
+ * them out everywhere: they log in again with the new password.
+ *
+ * Authorization required: none (the token is the credential)
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ passwordReset: username });
   } catch (err) {
     return next(err);
   }
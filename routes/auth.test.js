@@ -2,13 +2,31 @@
 
 const request = require("supertest");
 
+const db = require("../db.js");
 const app = require("../app");
+const { verifyToken } = require("../helpers/tokens");
+const config = require("../config");
+const {
+  LOGIN_FREE_FAILURES,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT,
+} = config;
+const LoginThrottle = require("../models/loginThrottle");
+const { getMailer } = require("../helpers/mailer");
+const Invitation = require("../models/invitation");
+const TwoFactor = require("../models/twoFactor");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
+  a1Token,
+  mailedToken,
+  codeAt,
+  enableTwoFactor,
+  testJobs,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +46,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -51,6 +70,51 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("too many requests after repeated failures", async function () {
+    const login = () => request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    for (let i = 0; i < LOGIN_FREE_FAILURES + 1; i++) {
+      expect((await login()).statusCode).toEqual(401);
+    }
+    const resp = await login();
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.error.message).toEqual("Too many failed logins; try again in 1 second");
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  test("throttles the client's address behind a trusted proxy", async function () {
+    const login = () => request(app)
+        .post("/auth/token")
+        .set("X-Forwarded-For", "203.0.113.5")
+        .send({ username: "u1", password: "nope" });
+    const throttledIps = async () => (await db.query(
+        `SELECT key FROM login_throttles WHERE kind = 'ip'`)).rows.map(r => r.key);
+
+    await login();
+    expect(await throttledIps()).not.toContain("203.0.113.5");
+
+    app.set("trust proxy", true);
+    try {
+      await login();
+    } finally {
+      app.set("trust proxy", config.getTrustProxy());
+    }
+    expect(await throttledIps()).toContain("203.0.113.5");
+  });
+
+  test("too many requests when locked out", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await LoginThrottle.recordFailure("u1", null);
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.error.message).toContain("Account locked");
+    expect(resp.headers["retry-after"]).toEqual(String(LOGIN_LOCKOUT));
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/auth/token")
@@ -87,9 +151,34 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("can apply once the email is verified", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const token = resp.body.token;
+    const apply = () => request(app)
+        .post(`/users/new/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${token}`);
+
+    expect((await apply()).statusCode).toEqual(403);
+
+    const verify = await request(app)
+        .get(`/auth/verify-email?token=${await mailedToken("new@email.com")}`);
+    expect(verify.body).toEqual({ verified: "new" });
+
+    expect((await apply()).statusCode).toEqual(200);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -112,3 +201,554 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u3", password: "password3" });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+    expect(verifyToken(resp.body.token)).toEqual({
+      username: "u3",
+      isAdmin: false,
+      companies: { c1: "recruiter" },
+      mfa: false,
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+    });
+  });
+
+  test("the new refresh token works in turn", async function () {
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: await login() });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("reuse revokes the whole family", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+    expect(reuse.body.error.message).toContain("reuse detected");
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { refreshToken } = login.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(200);
+
+    const token = await mailedToken("user1@user.com");
+    const confirm = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    expect(confirm.body).toEqual({ passwordReset: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("same response for unknown email", async function () {
+    const known = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    const unknown = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nope@user.com" });
+    expect(unknown.statusCode).toEqual(200);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  test("bad request with invalid email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with too short password", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/accept-invite */
+
+describe("POST /auth/accept-invite", function () {
+  async function invite() {
+    await Invitation.create({
+      username: "new",
+      firstName: "New",
+      lastName: "Person",
+      email: "new@user.com",
+    }, "a1");
+    return mailedToken("new@user.com");
+  }
+
+  test("works", async function () {
+    const token = await invite();
+    const resp = await request(app)
+        .post("/auth/accept-invite")
+        .send({ token, password: "password" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(verifyToken(resp.body.token).username).toEqual("new");
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "new", password: "password" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("works once", async function () {
+    const token = await invite();
+    await request(app)
+        .post("/auth/accept-invite")
+        .send({ token, password: "password" });
+    const resp = await request(app)
+        .post("/auth/accept-invite")
+        .send({ token, password: "password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/accept-invite")
+        .send({ token: "nope", password: "password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing password", async function () {
+    const resp = await request(app)
+        .post("/auth/accept-invite")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/verify-email */
+
+describe("GET /auth/verify-email", function () {
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify-email?token=nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify-email");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email/resend */
+
+describe("POST /auth/verify-email/resend", function () {
+  test("works", async function () {
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    const mails = await getMailer().sentTo("user1@user.com");
+    expect(mails.length).toEqual(1);
+  });
+
+  test("bad request if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** two-factor authentication */
+
+describe("POST /auth/2fa/enroll", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/enroll")
+        .send({ password: "password1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]+$/),
+      otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\/Jobly:u1\?secret=/),
+    });
+  });
+
+  test("works for admins who must use it but haven't yet", async function () {
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      const resp = await request(app)
+          .post("/auth/2fa/enroll")
+          .send({ password: "password1" })
+          .set("authorization", `Bearer ${a1Token}`);
+      expect(resp.statusCode).toEqual(200);
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+
+  test("unauth with wrong password", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/enroll")
+        .send({ password: "nope" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect((await TwoFactor.getState("u1")).totpSecret).toBeNull();
+  });
+
+  test("bad request without password", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/enroll")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/enroll")
+        .send({ password: "password1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/enroll");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /auth/2fa/verify", function () {
+  test("works", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/verify")
+        .send({ code: codeAt(secret, 0) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.backupCodes.length).toEqual(10);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(true);
+  });
+
+  test("logs the user out everywhere", async function () {
+    const tokens = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { secret } = await TwoFactor.enroll("u1");
+    await request(app)
+        .post("/auth/2fa/verify")
+        .send({ code: codeAt(secret, 0) })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: tokens.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with wrong code", async function () {
+    await TwoFactor.enroll("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/verify")
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for a code that isn't digits", async function () {
+    await TwoFactor.enroll("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/verify")
+        .send({ code: "éééééé" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/verify")
+        .send({ code: 123456 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/verify")
+        .send({ code: "123456" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /auth/2fa/challenge", function () {
+  async function login(username = "u1", password = "password1") {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username, password });
+    return resp.body.challenge;
+  }
+
+  test("logging in returns a challenge once enabled", async function () {
+    await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ challenge: expect.any(String) });
+  });
+
+  test("works", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/challenge")
+        .send({ challenge: await login(), code: codeAt(secret, 0) });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(verifyToken(resp.body.token)).toEqual(expect.objectContaining({
+      username: "u1",
+      isAdmin: false,
+      mfa: true,
+    }));
+  });
+
+  test("works: backup code", async function () {
+    const { backupCodes } = await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/challenge")
+        .send({ challenge: await login(), code: backupCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("refreshed tokens keep mfa", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const tokens = await request(app)
+        .post("/auth/2fa/challenge")
+        .send({ challenge: await login(), code: codeAt(secret, 0) });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: tokens.body.refreshToken });
+    expect(verifyToken(resp.body.token).mfa).toEqual(true);
+  });
+
+  test("unauth with wrong code", async function () {
+    await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/challenge")
+        .send({ challenge: await login(), code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Invalid two-factor code");
+  });
+
+  test("unauth with unknown challenge", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/challenge")
+        .send({ challenge: "nope", code: codeAt(secret, 0) });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/challenge")
+        .send({ challenge: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("admins need a two-factor login if required", async function () {
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      const denied = await request(app)
+          .get("/users")
+          .set("authorization", `Bearer ${a1Token}`);
+      expect(denied.statusCode).toEqual(403);
+      expect(denied.body.error.message)
+          .toEqual("Admins must log in with two-factor authentication");
+
+      const { secret } = await enableTwoFactor("a1");
+      const tokens = await request(app)
+          .post("/auth/2fa/challenge")
+          .send({ challenge: await login("a1"), code: codeAt(secret, 0) });
+      const resp = await request(app)
+          .get("/users")
+          .set("authorization", `Bearer ${tokens.body.token}`);
+      expect(resp.statusCode).toEqual(200);
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+});
+
+describe("POST /auth/2fa/disable", function () {
+  test("works", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/disable")
+        .send({ password: "password1", code: codeAt(secret, 0) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(login.body.token).toEqual(expect.any(String));
+  });
+
+  test("bad request with wrong code", async function () {
+    await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/disable")
+        .send({ password: "password1", code: "000000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("too many requests after too many wrong codes", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const disable = code => request(app)
+        .post("/auth/2fa/disable")
+        .send({ password: "password1", code })
+        .set("authorization", `Bearer ${u1Token}`);
+    for (let i = 0; i < LOGIN_FREE_FAILURES + 1; i++) {
+      expect((await disable("000000")).statusCode).toEqual(400);
+    }
+    const resp = await disable(codeAt(secret, 0));
+    expect(resp.statusCode).toEqual(429);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(true);
+  });
+
+  test("unauth with wrong password", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/disable")
+        .send({ password: "nope", code: codeAt(secret, 0) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect((await TwoFactor.getState("u1")).totpEnabled).toEqual(true);
+  });
+
+  test("bad request without password", async function () {
+    const { secret } = await enableTwoFactor("u1");
+    const resp = await request(app)
+        .post("/auth/2fa/disable")
+        .send({ code: codeAt(secret, 0) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/disable")
+        .send({ password: "password1", code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
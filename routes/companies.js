@@ -6,12 +6,15 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, isAuthorized } = require("../middleware/auth");
+const { authorize } = require("../middleware/auth");
 const Company = require("../models/company");
+const { parseQuery } = require("../helpers/query");
+const { getPagination, paginationEnvelope } = require("../helpers/pagination");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
 const companyFilterSchema = require("../schemas/companyFilter.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
 
 const router = new express.Router();
 
@@ -25,7 +28,7 @@ const router = new express.Router();
  * Authorization required: login & admin
  */
 
-router.post("/", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.post("/", authorize("company:create"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyNewSchema);
     if (!validator.valid) {
@@ -41,30 +44,47 @@ router.post("/", ensureLoggedIn, isAuthorized, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl, jobCount }, ...],
+ *     pagination: { total, page, limit, next, prev } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - name (will find case-insensitive, partial matches)
+ * - hasOpenJobs (if true, only companies with jobs)
+ * - jobTitle (companies with a job title that is a case-insensitive, partial match)
+ * - minSalary (companies with a job paying at least that salary)
+ * jobTitle & minSalary must both match the same job.
+ *
+ * Can paginate with page (default 1) & limit (default 20, at most 100).
+ *
+ * Can sort with sort, a comma-separated list of name, numEmployees & handle,
+ * each prefixed with "-" for descending (e.g. "-numEmployees,name").
+ *
+ * If no companies match, companies is empty. The X-Total-Count header holds
+ * the number of matching companies.
  *
  * Authorization required: none
  */
 
-router.get("/", async function (req, res, next) {
+router.get("/", authorize("company:read"), async function (req, res, next) {
   try {
-    let companies;
-    if (Object.keys(req.query).length !== 0) {
-      const validator = jsonschema.validate(req.query, companyFilterSchema);
-      if (!validator.valid) {
-        const errs = validator.errors.map(e => e.stack);
-        throw new BadRequestError(errs);
-      }
-      companies = await Company.filter(req.query);
-    } else {
-      companies = await Company.findAll();
+    const query = parseQuery(req.query, companyFilterSchema);
+    const validator = jsonschema.validate(query, companyFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
     }
-    return res.json({ companies });
+
+    const { page, limit, sort, ...filters } = query;
+    const pagination = getPagination({ page, limit });
+    const companies = await Company.findAll(filters, pagination, sort);
+    const total = await Company.count(filters);
+    res.set("X-Total-Count", total);
+    return res.json({
+      companies,
+      pagination: paginationEnvelope(req, { ...pagination, total }),
+    });
   } catch (err) {
     return next(err);
   }
@@ -78,7 +98,7 @@ router.get("/", async function (req, res, next) {
  * Authorization required: none
  */
 
-router.get("/:handle", async function (req, res, next) {
+router.get("/:handle", authorize("company:read"), async function (req, res, next) {
   try {
     const company = await Company.get(req.params.handle);
     return res.json({ company });
@@ -98,7 +118,7 @@ router.get("/:handle", async function (req, res, next) {
  * Authorization required: login & Admin
  */
 
-router.patch("/:handle", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.patch("/:handle", authorize("company:update"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyUpdateSchema);
     if (!validator.valid) {
@@ -118,7 +138,7 @@ router.patch("/:handle", ensureLoggedIn, isAuthorized, async function (req, res,
  * Authorization: login & Admin
  */
 
-router.delete("/:handle", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.delete("/:handle", authorize("company:delete"), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -127,5 +147,59 @@ router.delete("/:handle", ensureLoggedIn, isAuthorized, async function (req, res
   }
 });
 
+/** GET /[handle]/members  =>  { members: [ { username, firstName, lastName, role }, ... ] }
+ *
+ * Authorization required: login & Admin
+ */
+
+router.get("/:handle/members", authorize("member:read"), async function (req, res, next) {
+  try {
+    const members = await Company.getMembers(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/members { username, role }  =>  { member }
+ *
+ * Makes a user a member of the company. role is optional, and can only be
+ * "recruiter" for now: recruiters can manage the company's jobs and the
+ * applications to them. They get these rights when they next log in.
+ *
+ * Returns { member: { username, companyHandle, role } }
+ *
+ * Authorization required: login & Admin
+ */
+
+router.post("/:handle/members", authorize("member:create"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, companyMemberNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const member = await Company.addMember(req.params.handle, req.body.username, req.body.role);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: login & Admin
+ */
+
+router.delete("/:handle/members/:username", authorize("member:delete"), async function (req, res, next) {
+  try {
+    await Company.removeMember(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 module.exports = router;
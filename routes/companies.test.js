@@ -11,7 +11,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
-  a1Token
+  a1Token,
+  u3Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -63,12 +64,12 @@ describe("POST /companies", function () {
     expect(resp.statusCode).toEqual(400);
   });
   
-  test("unauthorized for user", async function () {
+  test("forbidden for user", async function () {
     const resp = await request(app)
         .post("/companies")
         .send(newCompany)
         .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 });
 
@@ -86,6 +87,7 @@ describe("GET /companies", function () {
               description: "Desc1",
               numEmployees: 1,
               logoUrl: "http://c1.img",
+              jobCount: 1,
             },
             {
               handle: "c2",
@@ -93,6 +95,7 @@ describe("GET /companies", function () {
               description: "Desc2",
               numEmployees: 2,
               logoUrl: "http://c2.img",
+              jobCount: 1,
             },
             {
               handle: "c3",
@@ -100,9 +103,59 @@ describe("GET /companies", function () {
               description: "Desc3",
               numEmployees: 3,
               logoUrl: "http://c3.img",
+              jobCount: 1,
             },
           ],
+      pagination: { total: 3, page: 1, limit: 20, next: null, prev: null },
     });
+    expect(resp.headers["x-total-count"]).toEqual("3");
+  });
+
+  test("paginates with page and limit", async function () {
+    const resp = await request(app).get("/companies?page=1&limit=2");
+    expect(resp.body).toEqual({
+      companies:
+          [
+            {
+              handle: "c1",
+              name: "C1",
+              description: "Desc1",
+              numEmployees: 1,
+              logoUrl: "http://c1.img",
+              jobCount: 1,
+            },
+            {
+              handle: "c2",
+              name: "C2",
+              description: "Desc2",
+              numEmployees: 2,
+              logoUrl: "http://c2.img",
+              jobCount: 1,
+            },
+          ],
+      pagination: {
+        total: 3,
+        page: 1,
+        limit: 2,
+        next: "/companies?page=2&limit=2",
+        prev: null,
+      },
+    });
+  });
+
+  test("sorts by the sort param", async function () {
+    const resp = await request(app).get("/companies?sort=-numEmployees");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("bad request for invalid sort", async function () {
+    const resp = await request(app).get("/companies?sort=description");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid limit", async function () {
+    const resp = await request(app).get("/companies?limit=nope");
+    expect(resp.statusCode).toEqual(400);
   });
 
   test("fails: test next() handler", async function () {
@@ -125,21 +178,51 @@ describe("GET /companies?query=value", function () {
     let query = "?name=c1";
     const resp = await request(app).get(`/companies${query}`);
     expect(resp.statusCode).toEqual(200);
-    expect(resp.body).toEqual({
-      companies: [{
+    expect(resp.body.companies).toEqual([{
             handle: "c1",
             name: "C1",
             description: "Desc1",
             numEmployees: 1,
             logoUrl: "http://c1.img",
-          }]
-        });
+            jobCount: 1,
+          }]);
+    });
+
+    test("returns a query for valid employee range params", async function () {
+      let query = "?minEmployees=2&maxEmployees=3";
+      const resp = await request(app).get(`/companies${query}`);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+      expect(resp.body.pagination.total).toEqual(2);
+    });
+
+    test("returns a query for valid job filter params", async function () {
+      let query = "?hasOpenJobs=true&jobTitle=man&minSalary=50000";
+      const resp = await request(app).get(`/companies${query}`);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.companies).toEqual([{
+            handle: "c1",
+            name: "C1",
+            description: "Desc1",
+            numEmployees: 1,
+            logoUrl: "http://c1.img",
+            jobCount: 1,
+          }]);
+      expect(resp.body.pagination.total).toEqual(1);
     });
 
-    test("returns a 404 for no results found (for valid param)", async function () {
+    test("returns a 400 for invalid hasOpenJobs value", async function () {
+      let query = "?hasOpenJobs=yes";
+      const resp = await request(app).get(`/companies${query}`);
+      expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns an empty list for no results found (for valid param)", async function () {
       let query = "?name=amazon";
       const resp = await request(app).get(`/companies${query}`);
-      expect(resp.statusCode).toEqual(404);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.companies).toEqual([]);
+      expect(resp.headers["x-total-count"]).toEqual("0");
     });
 
     test("returns a 400 for invalid query param", async function () {
@@ -166,16 +249,18 @@ describe("GET /companies?query=value", function () {
       expect(resp.statusCode).toEqual(400);
     });
 
-    test("returns 404 for null query value.", async function () {
+    test("returns an empty list for null query value.", async function () {
       let query = "?name=null";
       const resp = await request(app).get(`/companies${query}`);
-      expect(resp.statusCode).toEqual(404);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.companies).toEqual([]);
     });
 
-    test("returns 404 for undefined query value.", async function () {
+    test("returns an empty list for undefined query value.", async function () {
       let query = "?name=undefined";
       const resp = await request(app).get(`/companies${query}`);
-      expect(resp.statusCode).toEqual(404);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.companies).toEqual([]);
     });
 });
 
@@ -292,14 +377,14 @@ describe("PATCH /companies/:handle", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
-  test("unauthorized for users", async function () {
+  test("forbidden for users", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
         .send({
           name: "C1-new",
         })
         .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 });
 
@@ -326,10 +411,118 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 
-  test("unauthorized for users", async function () {
+  test("forbidden for users", async function () {
     const resp = await request(app)
         .delete(`/companies/c2`)
         .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** company members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({
+      members: [{ username: "u3", firstName: "U3F", lastName: "U3L", role: "recruiter" }],
+    });
+  });
+
+  test("forbidden for recruiter", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/members`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("POST /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u1", role: "recruiter" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { username: "u1", companyHandle: "c2", role: "recruiter" },
+    });
+  });
+
+  test("new members get their rights when they next log in", async function () {
+    await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${a1Token}`);
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .patch(`/companies/c2`)
+        .send({ name: "C2-new" })
+        .set("authorization", `Bearer ${login.body.token}`);
+    // recruiters manage jobs, not the company itself
+    expect(resp.statusCode).toEqual(403);
+    const jobResp = await request(app)
+        .post(`/jobs`)
+        .send({ title: "recruited", salary: 1, equity: 0, companyHandle: "c2" })
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(jobResp.statusCode).toEqual(201);
+  });
+
+  test("conflict if already a member", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u3" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+
+  test("bad request with invalid role", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1", role: "owner" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+  });
+
+  test("forbidden for the member themselves", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u1`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
   });
 });
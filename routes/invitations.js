@@ -0,0 +1,68 @@
+"use strict";
+
+/** Routes for invitations (see POST /users, which creates them, and
+ * POST /auth/accept-invite).
+ */
+
+const express = require("express");
+
+const { authorize } = require("../middleware/auth");
+const Invitation = require("../models/invitation");
+
+const router = new express.Router();
+
+
+/** GET /  =>
+ *   { invitations: [ { id, username, firstName, lastName, email, isAdmin,
+ *                      invitedBy, createdAt, expiresAt, status }, ...] }
+ *
+ * status is one of pending, expired, accepted or revoked. Newest first.
+ *
+ * Authorization required: login & Admin
+ */
+
+router.get("/", authorize("invitation:list"), async function (req, res, next) {
+  try {
+    const invitations = await Invitation.findAll();
+    return res.json({ invitations });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/resend  =>  { invitation }
+ *
+ * Mails the invitation again with a new link; the old link stops working.
+ * Works for expired invitations too, not for accepted or revoked ones.
+ *
+ * Authorization required: login & Admin
+ */
+
+router.post("/:id/resend", authorize("invitation:resend"), async function (req, res, next) {
+  try {
+    const invitation = await Invitation.resend(req.params.id);
+    return res.json({ invitation });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id]  =>  { revoked: invitation }
+ *
+ * Revokes an open invitation: its link stops working. The invitation is
+ * kept, to show in the list.
+ *
+ * Authorization required: login & Admin
+ */
+
+router.delete("/:id", authorize("invitation:revoke"), async function (req, res, next) {
+  try {
+    const revoked = await Invitation.revoke(req.params.id);
+    return res.json({ revoked });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
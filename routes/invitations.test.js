@@ -0,0 +1,148 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const Invitation = require("../models/invitation");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  a1Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let invitationId;
+
+beforeEach(async function () {
+  const invitation = await Invitation.create({
+    username: "new",
+    firstName: "New",
+    lastName: "Person",
+    email: "new@email.com",
+  }, "a1");
+  invitationId = invitation.id;
+});
+
+/************************************** GET /invitations */
+
+describe("GET /invitations", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .get("/invitations")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({
+      invitations: [
+        {
+          id: invitationId,
+          username: "new",
+          firstName: "New",
+          lastName: "Person",
+          email: "new@email.com",
+          isAdmin: false,
+          invitedBy: "a1",
+          createdAt: expect.any(String),
+          expiresAt: expect.any(String),
+          status: "pending",
+        },
+      ],
+    });
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+        .get("/invitations")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get("/invitations");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /invitations/:id/resend */
+
+describe("POST /invitations/:id/resend", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .post(`/invitations/${invitationId}/resend`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.invitation.status).toEqual("pending");
+  });
+
+  test("bad request if revoked", async function () {
+    await Invitation.revoke(invitationId);
+    const resp = await request(app)
+        .post(`/invitations/${invitationId}/resend`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such invitation", async function () {
+    const resp = await request(app)
+        .post(`/invitations/0/resend`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if id isn't an integer", async function () {
+    const resp = await request(app)
+        .post(`/invitations/abc/resend`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+        .post(`/invitations/${invitationId}/resend`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** DELETE /invitations/:id */
+
+describe("DELETE /invitations/:id", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .delete(`/invitations/${invitationId}`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.revoked).toEqual(expect.objectContaining({
+      id: invitationId,
+      status: "revoked",
+    }));
+  });
+
+  test("not found if no such invitation", async function () {
+    const resp = await request(app)
+        .delete(`/invitations/0`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if id isn't an integer", async function () {
+    const resp = await request(app)
+        .delete(`/invitations/abc`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+        .delete(`/invitations/${invitationId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
@@ -5,25 +5,50 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, isAuthorized } = require("../middleware/auth");
+const { authorize } = require("../middleware/auth");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const { parseQuery } = require("../helpers/query");
+const {
+  getPagination,
+  paginationEnvelope,
+  encodeCursor,
+  decodeCursor,
+} = require("../helpers/pagination");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 const jobFilterSchema = require("../schemas/jobFilter.json");
+const applicantFilterSchema = require("../schemas/applicantFilter.json");
+const applicationBulkUpdateSchema = require("../schemas/applicationBulkUpdate.json");
+const applicationNoteNewSchema = require("../schemas/applicationNoteNew.json");
+const applicationRatingSchema = require("../schemas/applicationRating.json");
 
 const router = new express.Router();
 
+/** The resource (see helpers/policy.js) a request for the job in the URL is for. */
+
+async function jobResource(req) {
+  const job = await Job.get(req.params.id);
+  return { companyHandle: job.companyHandle };
+}
+
+/** The resource a request to create a job is for. */
+
+function newJobResource(req) {
+  return { companyHandle: req.body.companyHandle };
+}
+
 /** POST / { job } =>  { job }
  *
  * job should be { title, salary, equity, companyHandle }
  *
  * Returns { job: { id, title, salary, equity, companyHandle }}
  *
- * Authorization required: login & admin
+ * Authorization required: login & Admin or recruiter for the company
  */
 
- router.post("/", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+ router.post("/", authorize("job:create", newJobResource), async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, jobNewSchema);
       if (!validator.valid) {
@@ -39,33 +64,82 @@ const router = new express.Router();
   });
   
   /** GET /  =>
-   *   { jobs: [ { id, title, salary, equity, companyHandle }, ...] }
+   *   { jobs: [ { id, title, salary, equity, companyHandle }, ...],
+   *     pagination: { total, page, limit, next, prev, nextCursor } }
    *
    * Can filter on provided search filters:
    * title : filter by job title case insensitive.
    * minSalary: filter to jobs with at least that salary.
+   * maxSalary: filter to jobs with no more than that salary.
+   * minEquity: filter to jobs with at least that equity.
+   * maxEquity: filter to jobs with no more than that equity.
    * hasEquity: if true, filter to jobs that provide a non-zero amount of equity. If false or not included in the filtering, list all jobs regardless of equity.
+   * companyHandle: filter to jobs at a company, or any of a comma-separated list of companies (e.g. "c1,c2").
+   *
+   * Can paginate with page (default 1) & limit (default 20, at most 100).
+   *
+   * Can sort with sort, a comma-separated list of title, salary, equity & id,
+   * each prefixed with "-" for descending (e.g. "-salary,title").
+   *
+   * Or, for a feed that stays stable while jobs are added, pass the nextCursor
+   * of the previous response as cursor (instead of page). The response then
+   * holds the jobs after that cursor:
+   *   pagination: { total, limit, nextCursor }
+   * nextCursor is null once there are no more jobs. Cursors follow the
+   * default order, so can't be combined with sort.
+   *
+   * If no jobs match, jobs is empty. The X-Total-Count header holds the
+   * number of matching jobs.
    *
    * Authorization required: none
    */
   
-  router.get("/", async function (req, res, next) {
+  router.get("/", authorize("job:read"), async function (req, res, next) {
     try {
-      let jobs;
-      if (Object.keys(req.query).length !== 0) {
-        let query = req.query;
-        if (query.minSalary) query.minSalary = +query.minSalary;
-        if (query.hasEquity && query.hasEquity === "true") query.hasEquity = true;
-        const validator = jsonschema.validate(query, jobFilterSchema);
-        if (!validator.valid) {
-          const errs = validator.errors.map(e => e.stack);
-          throw new BadRequestError(errs);
-        }
-        jobs = await Job.filter(query);
-      } else {
-        jobs = await Job.findAll();
+      const query = parseQuery(req.query, jobFilterSchema);
+      const validator = jsonschema.validate(query, jobFilterSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
       }
-      return res.json({ jobs });
+
+      const { page, limit, sort, cursor, ...filters } = query;
+      if (cursor !== undefined && page !== undefined) {
+        throw new BadRequestError("cursor cannot be combined with page");
+      }
+      if (cursor !== undefined && sort !== undefined) {
+        throw new BadRequestError("cursor cannot be combined with sort");
+      }
+      const total = await Job.count(filters);
+      res.set("X-Total-Count", total);
+
+      if (cursor !== undefined) {
+        const after = decodeCursor(cursor, ["string", "integer"]);
+        const pageLimit = getPagination({ limit }).limit;
+        // fetch one extra job to know whether there is another page
+        const jobs = await Job.findAll(filters, { limit: pageLimit + 1, after });
+        const hasMore = jobs.length > pageLimit;
+        if (hasMore) jobs.pop();
+        return res.json({
+          jobs,
+          pagination: {
+            total,
+            limit: pageLimit,
+            nextCursor: hasMore ? encodeCursor(Job.cursorKey(jobs[jobs.length - 1])) : null,
+          },
+        });
+      }
+
+      const pagination = getPagination({ page, limit });
+      const jobs = await Job.findAll(filters, pagination, sort);
+      const hasMore = sort === undefined && pagination.offset + jobs.length < total;
+      return res.json({
+        jobs,
+        pagination: {
+          ...paginationEnvelope(req, { ...pagination, total }),
+          nextCursor: hasMore ? encodeCursor(Job.cursorKey(jobs[jobs.length - 1])) : null,
+        },
+      });
     } catch (err) {
       return next(err);
     }
@@ -78,7 +152,7 @@ const router = new express.Router();
    * Authorization required: none
    */
   
-  router.get("/:id", async function (req, res, next) {
+  router.get("/:id", authorize("job:read"), async function (req, res, next) {
     try {
       const job = await Job.get(req.params.id);
       return res.json({ job });
@@ -87,6 +161,134 @@ const router = new express.Router();
     }
   });
   
+  /** GET /[id]/applications  =>
+   *   { applications: [ { username, firstName, lastName, email, state, appliedAt, updatedAt }, ...] }
+   *
+   * Everyone who applied to the job.
+   *
+   * Can filter on state: a state, or a comma-separated list of states
+   * (e.g. "interviewing,offered").
+   *
+   * Can sort with sort, a comma-separated list of appliedAt, updatedAt &
+   * username, each prefixed with "-" for descending (e.g. "-appliedAt").
+   * Defaults to appliedAt, oldest first.
+   *
+   * Authorization required: login & Admin or recruiter for the job's company
+   */
+
+  router.get("/:id/applications", authorize("application:list", jobResource), async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.query, applicantFilterSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const { sort, ...filters } = req.query;
+      const applications = await Application.findForJob(req.params.id, filters, sort);
+      return res.json({ applications });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** POST /[id]/applications/bulk { usernames, state, note } => { results }
+   *
+   * Moves the applications of each of usernames (at most 500) to state, all
+   * in a single transaction. Each change must be one the pipeline allows (see
+   * PATCH /users/[username]/jobs/[id]); those that aren't are skipped. The
+   * optional note is recorded in the history of each application changed.
+   *
+   * results holds one entry per username:
+   *   { username, success: true, fromState, state }
+   *   or { username, success: false, error }
+   *
+   * Authorization required: login & Admin or recruiter for the job's company
+   */
+
+  router.post("/:id/applications/bulk", authorize("application:manage", jobResource), async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, applicationBulkUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const { usernames, state, note } = req.body;
+      const results = await Application.updateStates(
+          req.params.id, usernames, state, res.locals.user, note);
+      return res.json({ results });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** GET /[id]/applications/[username]  =>  { application }
+   *
+   * An application along with its internal review, which candidates never see.
+   *
+   * application is { username, jobId, state, appliedAt, updatedAt, coverLetter, resume, rating, notes }
+   *   where notes is [{ id, author, body, createdAt }, ...]
+   *
+   * Authorization required: login & Admin or recruiter for the job's company
+   */
+
+  router.get("/:id/applications/:username", authorize("application:review", jobResource), async function (req, res, next) {
+    try {
+      const application = await Application.getWithReview(req.params.username, req.params.id);
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** POST /[id]/applications/[username]/notes { body }  =>  { note }
+   *
+   * Adds an internal note to an application, authored by the logged in user.
+   *
+   * note is { id, author, body, createdAt }
+   *
+   * Authorization required: login & Admin or recruiter for the job's company
+   */
+
+  router.post("/:id/applications/:username/notes", authorize("application:review", jobResource), async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, applicationNoteNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const note = await Application.addNote(
+          req.params.username, req.params.id, res.locals.user.username, req.body.body);
+      return res.status(201).json({ note });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  /** PUT /[id]/applications/[username]/rating { rating }  =>  { rating }
+   *
+   * Sets the internal rating of an application: 1 to 5, or null to clear it.
+   *
+   * Authorization required: login & Admin or recruiter for the job's company
+   */
+
+  router.put("/:id/applications/:username/rating", authorize("application:review", jobResource), async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, applicationRatingSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const rating = await Application.rate(req.params.username, req.params.id, req.body.rating);
+      return res.json({ rating });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
   /** PATCH /[id] { field1, field2, ... } => { job }
    *
    * Patches job data.
@@ -95,10 +297,10 @@ const router = new express.Router();
    *
    * Returns { job: { id, title, salary, equity, companyHandle }}
    *
-   * Authorization required: login & Admin
+   * Authorization required: login & Admin or recruiter for the job's company
    */
   
-  router.patch("/:id", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+  router.patch("/:id", authorize("job:update", jobResource), async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, jobUpdateSchema);
       if (!validator.valid) {
@@ -115,10 +317,10 @@ const router = new express.Router();
   
   /** DELETE /[id]  =>  { deleted: id }
    *
-   * Authorization: login & admin
+   * Authorization required: login & Admin or recruiter for the job's company
    */
   
-  router.delete("/:id", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+  router.delete("/:id", authorize("job:delete", jobResource), async function (req, res, next) {
     try {
       await Job.remove(req.params.id);
       return res.json({ deleted: +req.params.id });
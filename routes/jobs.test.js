@@ -5,6 +5,7 @@ const request = require("supertest");
 const db = require("../db");
 const app = require("../app");
 
+const { encodeCursor } = require("../helpers/pagination");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -12,6 +13,7 @@ const {
   commonAfterAll,
   u1Token,
   a1Token,
+  u3Token,
   testJobs
 } = require("./_testCommon");
 
@@ -80,13 +82,13 @@ describe("POST /jobs", () => {
        expect(resp.statusCode).toEqual(400);
     });
 
-    test("unauthorized for user role", async () => {
+    test("forbidden for user role", async () => {
         const resp = await request(app)
        .post("/jobs")
        .send(newJob)
        .set("authorization", `Bearer ${u1Token}`);
 
-       expect(resp.statusCode).toEqual(401);
+       expect(resp.statusCode).toEqual(403);
     });
 });
 
@@ -119,7 +121,142 @@ describe("GET /jobs", () => {
                 equity: 0.065,
                 companyHandle: "c1"
             }
-        ]});
+        ],
+        pagination: { total: 3, page: 1, limit: 20, next: null, prev: null, nextCursor: null }
+        });
+        expect(resp.headers["x-total-count"]).toEqual("3");
+    });
+
+    test("paginates with page and limit", async () => {
+        const resp = await request(app).get("/jobs?limit=1&page=2");
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({
+            jobs: [{...testJobs[1]}],
+            pagination: {
+                total: 3,
+                page: 2,
+                limit: 1,
+                next: "/jobs?limit=1&page=3",
+                prev: "/jobs?limit=1&page=1",
+                nextCursor: encodeCursor(["engineer", testJobs[1].id])
+            }
+        });
+    });
+
+    test("paginates filtered jobs, keeping the filters in links", async () => {
+        const resp = await request(app).get("/jobs?minSalary=40000&limit=1");
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({
+            jobs: [{...testJobs[1]}],
+            pagination: {
+                total: 2,
+                page: 1,
+                limit: 1,
+                next: "/jobs?minSalary=40000&limit=1&page=2",
+                prev: null,
+                nextCursor: encodeCursor(["engineer", testJobs[1].id])
+            }
+        });
+    });
+
+    test("returns 400 for invalid limit", async () => {
+        const resp = await request(app).get("/jobs?limit=1000");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns 400 for invalid page", async () => {
+        const resp = await request(app).get("/jobs?page=0");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("sorts by the sort param", async () => {
+        const resp = await request(app).get("/jobs?sort=-salary,title");
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs).toEqual([{...testJobs[1]}, {...testJobs[0]}, {...testJobs[2]}]);
+        expect(resp.body.pagination.nextCursor).toBeNull();
+    });
+
+    test("sorts filtered jobs", async () => {
+        const resp = await request(app).get("/jobs?hasEquity=true&sort=-equity");
+
+        expect(resp.body.jobs).toEqual([{...testJobs[0]}, {...testJobs[1]}]);
+    });
+
+    test("returns 400 for invalid sort", async () => {
+        const resp = await request(app).get("/jobs?sort=companyHandle");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns 400 for cursor with sort", async () => {
+        const cursor = encodeCursor(["associate", testJobs[2].id]);
+        const resp = await request(app).get(`/jobs?sort=-salary&cursor=${cursor}`);
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("pages through jobs with a cursor", async () => {
+        const first = await request(app).get("/jobs?limit=2");
+        expect(first.body.jobs.map(j => j.title)).toEqual(["associate", "engineer"]);
+
+        const second = await request(app)
+            .get(`/jobs?limit=2&cursor=${first.body.pagination.nextCursor}`);
+
+        expect(second.statusCode).toEqual(200);
+        expect(second.body).toEqual({
+            jobs: [{...testJobs[0]}],
+            pagination: { total: 3, limit: 2, nextCursor: null }
+        });
+    });
+
+    test("cursor pages stay stable when jobs are added", async () => {
+        const first = await request(app).get("/jobs?limit=1");
+        await db.query(`INSERT INTO jobs (title, salary, equity, company_handle)
+                        VALUES ('accountant', 50000, 0, 'c1')`);
+
+        const second = await request(app)
+            .get(`/jobs?limit=1&cursor=${first.body.pagination.nextCursor}`);
+
+        expect(second.body.jobs).toEqual([{...testJobs[1]}]);
+        expect(second.body.pagination.nextCursor).toEqual(
+            encodeCursor(["engineer", testJobs[1].id]));
+    });
+
+    test("cursor works with filters", async () => {
+        const cursor = encodeCursor(["associate", testJobs[2].id]);
+        const resp = await request(app).get(`/jobs?hasEquity=true&cursor=${cursor}`);
+
+        expect(resp.body).toEqual({
+            jobs: [{...testJobs[1]}, {...testJobs[0]}],
+            pagination: { total: 2, limit: 20, nextCursor: null }
+        });
+    });
+
+    test("returns 400 for invalid cursor", async () => {
+        const resp = await request(app).get("/jobs?cursor=not-a-cursor");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns 400 for cursor with an id that isn't an integer", async () => {
+        for (const id of [1.5, 1e20]) {
+            const cursor = encodeCursor(["associate", id]);
+            const resp = await request(app).get(`/jobs?cursor=${cursor}`);
+
+            expect(resp.statusCode).toEqual(400);
+        }
+    });
+
+    test("returns 400 for cursor with page", async () => {
+        const cursor = encodeCursor(["associate", testJobs[2].id]);
+        const resp = await request(app).get(`/jobs?page=2&cursor=${cursor}`);
+
+        expect(resp.statusCode).toEqual(400);
     });
 
     test("fails: test next() handler", async function () {
@@ -140,7 +277,7 @@ describe("GET /companies?query=value", function () {
         const resp = await request(app).get(`/jobs${query}`);
 
         expect(resp.statusCode).toEqual(200);
-        expect(resp.body).toEqual({ jobs: [ {...testJobs[0]} ] });
+        expect(resp.body.jobs).toEqual([ {...testJobs[0]} ]);
     });
 
     test("returns a query for valid minSalary param", async () => {
@@ -148,7 +285,7 @@ describe("GET /companies?query=value", function () {
         const resp = await request(app).get(`/jobs${query}`);
 
         expect(resp.statusCode).toEqual(200);
-        expect(resp.body).toEqual({ jobs: [{...testJobs[1]}, {...testJobs[0]}] });
+        expect(resp.body.jobs).toEqual([{...testJobs[1]}, {...testJobs[0]}]);
     });
 
     test("returns a query for valid hasEquity param", async () => {
@@ -156,14 +293,65 @@ describe("GET /companies?query=value", function () {
         const resp = await request(app).get(`/jobs${query}`);
 
         expect(resp.statusCode).toEqual(200);
-        expect(resp.body).toEqual({ jobs: [{...testJobs[1]}, {...testJobs[0]}] });
+        expect(resp.body.jobs).toEqual([{...testJobs[1]}, {...testJobs[0]}]);
+    });
+
+    test("returns a query for valid salary and equity range params", async () => {
+        let query = "?maxSalary=70000&minEquity=0.06&maxEquity=1";
+        const resp = await request(app).get(`/jobs${query}`);
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs).toEqual([{...testJobs[0]}]);
+    });
+
+    test("returns a query for a single companyHandle", async () => {
+        const resp = await request(app).get("/jobs?companyHandle=c2");
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs).toEqual([{...testJobs[1]}]);
+    });
+
+    test("returns a query for a list of companyHandles", async () => {
+        const resp = await request(app).get("/jobs?companyHandle=c2,c1");
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs).toEqual([{...testJobs[1]}, {...testJobs[0]}]);
     });
 
-    test("returns a 404 for no results found (for valid param)", async () => {
+    test("returns 400 for minSalary larger than maxSalary", async () => {
+        const resp = await request(app).get("/jobs?minSalary=90000&maxSalary=50000");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns 400 for minEquity larger than maxEquity", async () => {
+        const resp = await request(app).get("/jobs?minEquity=0.5&maxEquity=0.2");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns 400 for invalid equity range value", async () => {
+        const resp = await request(app).get("/jobs?maxEquity=2");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns 400 for empty companyHandle in list", async () => {
+        const resp = await request(app).get("/jobs?companyHandle=c1,,c2");
+
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("returns an empty list for no results found (for valid param)", async () => {
         let query = "?title=president";
         const resp = await request(app).get(`/jobs${query}`);
 
-        expect(resp.statusCode).toEqual(404);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({
+            jobs: [],
+            pagination: { total: 0, page: 1, limit: 20, next: null, prev: null, nextCursor: null }
+        });
+        expect(resp.headers["x-total-count"]).toEqual("0");
     });
 
     test("returns 400 for invalid query param", async () => {
@@ -194,11 +382,12 @@ describe("GET /companies?query=value", function () {
         expect(resp.statusCode).toEqual(400);
     });
 
-    test("returns 404 for null title value", async () => {
+    test("returns an empty list for null title value", async () => {
         let query = "?title=null";
         const resp = await request(app).get(`/jobs${query}`);
 
-        expect(resp.statusCode).toEqual(404);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs).toEqual([]);
     });
 });
 
@@ -217,6 +406,301 @@ describe("GET /jobs/:id", () => {
       });
 });
 
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", () => {
+    test("works for admin", async () => {
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({
+            applications: [
+                {
+                    username: "u1",
+                    firstName: "U1F",
+                    lastName: "U1L",
+                    email: "user1@user.com",
+                    state: "applied",
+                    appliedAt: expect.any(String),
+                    updatedAt: expect.any(String),
+                    coverLetter: null,
+                    rating: null,
+                },
+            ],
+        });
+    });
+
+    test("filters by state", async () => {
+        await request(app)
+            .post(`/users/u3/jobs/${testJobs[0].id}`)
+            .set("authorization", `Bearer ${a1Token}`);
+        await request(app)
+            .patch(`/users/u3/jobs/${testJobs[0].id}`)
+            .send({ state: "screening" })
+            .set("authorization", `Bearer ${a1Token}`);
+
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications?state=screening,interviewing`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.body.applications.map(a => a.username)).toEqual(["u3"]);
+    });
+
+    test("sorts by date", async () => {
+        await request(app)
+            .post(`/users/u3/jobs/${testJobs[0].id}`)
+            .set("authorization", `Bearer ${a1Token}`);
+
+        const oldest = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(oldest.body.applications.map(a => a.username)).toEqual(["u1", "u3"]);
+
+        const newest = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications?sort=-appliedAt`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(newest.body.applications.map(a => a.username)).toEqual(["u3", "u1"]);
+    });
+
+    test("bad request on invalid state", async () => {
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications?state=hired`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("bad request on invalid sort", async () => {
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications?sort=email`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("forbidden for non-admin", async () => {
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
+
+    test("unauth for anon", async () => {
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("not found for no such job", async () => {
+        const resp = await request(app)
+            .get(`/jobs/0/applications`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
+
+/************************************** POST /jobs/:id/applications/bulk */
+
+describe("POST /jobs/:id/applications/bulk", () => {
+    test("works for admin", async () => {
+        await request(app)
+            .post(`/users/u3/jobs/${testJobs[0].id}`)
+            .set("authorization", `Bearer ${a1Token}`);
+
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/bulk`)
+            .send({ usernames: ["u1", "u2", "u3"], state: "rejected", note: "Position filled" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({
+            results: [
+                { username: "u1", success: true, fromState: "applied", state: "rejected" },
+                { username: "u2", success: false, error: "No application" },
+                { username: "u3", success: true, fromState: "applied", state: "rejected" },
+            ],
+        });
+
+        const applicants = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications?state=rejected`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(applicants.body.applications.map(a => a.username)).toEqual(["u1", "u3"]);
+    });
+
+    test("reports transitions the pipeline doesn't allow", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/bulk`)
+            .send({ usernames: ["u1"], state: "accepted" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.results).toEqual([
+            { username: "u1", success: false, error: "Cannot move application from applied to accepted" },
+        ]);
+    });
+
+    test("bad request with invalid data", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/bulk`)
+            .send({ usernames: [], state: "hired" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("forbidden for non-admin", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/bulk`)
+            .send({ usernames: ["u1"], state: "withdrawn" })
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
+
+    test("unauth for anon", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/bulk`)
+            .send({ usernames: ["u1"], state: "rejected" });
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("not found for no such job", async () => {
+        const resp = await request(app)
+            .post(`/jobs/0/applications/bulk`)
+            .send({ usernames: ["u1"], state: "rejected" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
+
+/************************************** internal review */
+
+describe("GET /jobs/:id/applications/:username", () => {
+    test("works for admin", async () => {
+        await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/u1/notes`)
+            .send({ body: "Call back Monday" })
+            .set("authorization", `Bearer ${a1Token}`);
+        await request(app)
+            .put(`/jobs/${testJobs[0].id}/applications/u1/rating`)
+            .send({ rating: 5 })
+            .set("authorization", `Bearer ${a1Token}`);
+
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications/u1`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.application).toEqual({
+            username: "u1",
+            jobId: testJobs[0].id,
+            state: "applied",
+            appliedAt: expect.any(String),
+            updatedAt: expect.any(String),
+            coverLetter: null,
+            resume: null,
+            rating: 5,
+            notes: [
+                { id: expect.any(Number), author: "a1", body: "Call back Monday", createdAt: expect.any(String) },
+            ],
+        });
+    });
+
+    test("forbidden for the applicant", async () => {
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications/u1`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
+
+    test("not found for no such application", async () => {
+        const resp = await request(app)
+            .get(`/jobs/${testJobs[2].id}/applications/u1`)
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
+
+describe("POST /jobs/:id/applications/:username/notes", () => {
+    test("works for admin", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/u1/notes`)
+            .send({ body: "Strong references" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(201);
+        expect(resp.body).toEqual({
+            note: { id: expect.any(Number), author: "a1", body: "Strong references", createdAt: expect.any(String) },
+        });
+    });
+
+    test("bad request with invalid data", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/u1/notes`)
+            .send({ body: "" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("forbidden for the applicant", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/u1/notes`)
+            .send({ body: "I'm great" })
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
+
+    test("unauth for anon", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/u1/notes`)
+            .send({ body: "Hi" });
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("not found for no such application", async () => {
+        const resp = await request(app)
+            .post(`/jobs/${testJobs[2].id}/applications/u1/notes`)
+            .send({ body: "Hi" })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
+
+describe("PUT /jobs/:id/applications/:username/rating", () => {
+    test("works for admin", async () => {
+        const resp = await request(app)
+            .put(`/jobs/${testJobs[0].id}/applications/u1/rating`)
+            .send({ rating: 3 })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({ rating: 3 });
+    });
+
+    test("works for admin: clear rating", async () => {
+        const resp = await request(app)
+            .put(`/jobs/${testJobs[0].id}/applications/u1/rating`)
+            .send({ rating: null })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.body).toEqual({ rating: null });
+    });
+
+    test("bad request if out of range", async () => {
+        const resp = await request(app)
+            .put(`/jobs/${testJobs[0].id}/applications/u1/rating`)
+            .send({ rating: 6 })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("forbidden for the applicant", async () => {
+        const resp = await request(app)
+            .put(`/jobs/${testJobs[0].id}/applications/u1/rating`)
+            .send({ rating: 5 })
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(403);
+    });
+
+    test("not found for no such application", async () => {
+        const resp = await request(app)
+            .put(`/jobs/${testJobs[2].id}/applications/u1/rating`)
+            .send({ rating: 5 })
+            .set("authorization", `Bearer ${a1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
+
 /************************************** PATCH /jobs/:handle */
 
 describe("PATCH /jobs/:id", () => {
@@ -250,13 +734,13 @@ describe("PATCH /jobs/:id", () => {
         expect(resp.statusCode).toEqual(401);
     });
 
-    test("unauthorized for user role", async () => {
+    test("forbidden for user role", async () => {
         const resp = await request(app)
         .patch(`/jobs/${testJobs[1].id}`)
         .send(allData)
         .set("authorization", `Bearer ${u1Token}`);
 
-        expect(resp.statusCode).toEqual(401);
+        expect(resp.statusCode).toEqual(403);
     });
 
     test("not found for no such job", async () => {
@@ -336,12 +820,12 @@ describe("DELETE /jobs/:id", () => {
         expect(resp.body).toEqual({ deleted: testJobs[2].id });
     });
 
-    test("unauthorized for user role", async () => {
+    test("forbidden for user role", async () => {
         const resp = await request(app)
         .delete(`/jobs/${testJobs[2].id}`)
         .set("authorization", `Bearer ${u1Token}`);
 
-        expect(resp.statusCode).toEqual(401);
+        expect(resp.statusCode).toEqual(403);
     });
 
     test("unauthorized for anon", async () => {
@@ -360,3 +844,76 @@ describe("DELETE /jobs/:id", () => {
     });
 });
 
+/************************************** recruiters */
+
+describe("recruiters (u3, for c1)", () => {
+    test("can create jobs for their company only", async () => {
+        const own = await request(app)
+            .post(`/jobs`)
+            .send({ title: "recruiter", salary: 50000, equity: 0, companyHandle: "c1" })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(own.statusCode).toEqual(201);
+
+        const other = await request(app)
+            .post(`/jobs`)
+            .send({ title: "recruiter", salary: 50000, equity: 0, companyHandle: "c2" })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(other.statusCode).toEqual(403);
+    });
+
+    test("can update and delete jobs of their company only", async () => {
+        const patchOwn = await request(app)
+            .patch(`/jobs/${testJobs[0].id}`)
+            .send({ salary: 70000 })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(patchOwn.statusCode).toEqual(200);
+
+        const patchOther = await request(app)
+            .patch(`/jobs/${testJobs[1].id}`)
+            .send({ salary: 70000 })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(patchOther.statusCode).toEqual(403);
+
+        const deleteOther = await request(app)
+            .delete(`/jobs/${testJobs[1].id}`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(deleteOther.statusCode).toEqual(403);
+
+        const deleteOwn = await request(app)
+            .delete(`/jobs/${testJobs[0].id}`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(deleteOwn.statusCode).toEqual(200);
+    });
+
+    test("can manage applications to their company's jobs only", async () => {
+        const own = await request(app)
+            .get(`/jobs/${testJobs[0].id}/applications`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(own.statusCode).toEqual(200);
+
+        const bulk = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/bulk`)
+            .send({ usernames: ["u1"], state: "screening" })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(bulk.body.results[0].success).toBe(true);
+
+        const note = await request(app)
+            .post(`/jobs/${testJobs[0].id}/applications/u1/notes`)
+            .send({ body: "Phone screen booked" })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(note.body.note.author).toEqual("u3");
+
+        const other = await request(app)
+            .get(`/jobs/${testJobs[1].id}/applications`)
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(other.statusCode).toEqual(403);
+    });
+
+    test("not found for no such job", async () => {
+        const resp = await request(app)
+            .patch(`/jobs/0`)
+            .send({ salary: 1 })
+            .set("authorization", `Bearer ${u3Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
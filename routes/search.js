@@ -0,0 +1,52 @@
+"use strict";
+
+/** Routes for search. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { authorize } = require("../middleware/auth");
+const Search = require("../models/search");
+const { parseQuery } = require("../helpers/query");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=  =>  { results: [ result, ... ] }
+ *
+ * Full-text search of job titles, company names and company descriptions,
+ * ranked best first. Each result is one of:
+ *   { type: "job", score, snippet, id, title, salary, equity, companyHandle }
+ *   { type: "company", score, snippet, handle, name, description, numEmployees, logoUrl }
+ * where snippet is the matched text with matches wrapped in <b></b>.
+ *
+ * q is required, and can use words, "quoted phrases", or, and -excluded words.
+ * Can also pass:
+ * - type ("job" or "company", to search only one kind)
+ * - limit (default 20, at most 100)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", authorize("search:read"), async function (req, res, next) {
+  try {
+    const query = parseQuery(req.query, searchQuerySchema);
+    const validator = jsonschema.validate(query, searchQuerySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { q, ...options } = query;
+    const results = await Search.search(q, options);
+    return res.json({ results });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,58 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobs
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search?q=engineering");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      results: [{
+        type: "job",
+        score: expect.any(Number),
+        snippet: "<b>engineer</b>",
+        ...testJobs[1],
+      }],
+    });
+  });
+
+  test("works with type and limit", async function () {
+    const resp = await request(app).get("/search?q=desc1 or desc2&type=company&limit=1");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.results.length).toEqual(1);
+    expect(resp.body.results[0].type).toEqual("company");
+  });
+
+  test("works with no matches", async function () {
+    const resp = await request(app).get("/search?q=plumber");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ results: [] });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid type", async function () {
+    const resp = await request(app).get("/search?q=manager&type=user");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
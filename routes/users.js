@@ -5,93 +5,244 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureLoggedIn, isAuthorized } = require("../middleware/auth");
+const { authorize } = require("../middleware/auth");
+const { can } = require("../helpers/policy");
+const { uploadResume } = require("../middleware/upload");
 const { BadRequestError } = require("../expressError");
 const User = require("../models/user");
-const { createToken } = require("../helpers/tokens");
+const Job = require("../models/job");
+const Application = require("../models/application");
+const Invitation = require("../models/invitation");
+const EmailVerification = require("../models/emailVerification");
+const LoginThrottle = require("../models/loginThrottle");
+const { parseQuery } = require("../helpers/query");
+const { getPagination, paginationEnvelope } = require("../helpers/pagination");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userFilterSchema = require("../schemas/userFilter.json");
 const newApplicationSchema = require("../schemas/applicationNew.json");
-const generator = require('generate-password');
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
 
 const router = express.Router();
 
+/** The resource (see helpers/policy.js) a request for the user in the URL is for. */
 
-/** POST / { user }  => { user, token }
+function userResource(req) {
+  return { username: req.params.username };
+}
+
+/** The resource a request for the user's application to the job in the URL is for. */
+
+async function applicationResource(req) {
+  const job = await Job.get(req.params.id);
+  return { username: req.params.username, companyHandle: job.companyHandle };
+}
+
+
+/** POST / { user }  => { invitation }
+ *
+ * Invites a new user. This is not the registration endpoint --- instead, this
+ * is only for admin users to add new users. The new user being added can be
+ * an admin.
+ *
+ * user should be { username, firstName, lastName, email, isAdmin }
  *
- * Adds a new user. This is not the registration endpoint --- instead, this is
- * only for admin users to add new users. The new user being added can be an
- * admin.
+ * The user isn't created yet: they're mailed a link to choose their password
+ * (see POST /auth/accept-invite). This returns the invitation:
+ *  { invitation: { id, username, firstName, lastName, email, isAdmin,
+ *                  invitedBy, createdAt, expiresAt, status } }
  *
- * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ * Admins can list, resend and revoke invitations (see routes/invitations.js).
  *
  * Authorization required: login & Admin
  **/
 
-router.post("/", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.post("/", authorize("user:create"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userNewSchema);
     if (!validator.valid) {
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
-    //generates a random password for the new user account
-    const randomPassword = generator.generate({
-      length: 10,
-      numbers: true
-    });
-    const user = await User.register({...req.body, password: randomPassword});
-    const token = createToken(user);
-    return res.status(201).json({ user, token });
+    const invitation = await Invitation.create(req.body, res.locals.user.username);
+    return res.status(201).json({ invitation });
   } catch (err) {
     return next(err);
   }
 });
 
-/** POST { state } (optional) /users/[username]/jobs/[id] => { applied: {jobId, state} }
+/** POST { state, coverLetter } (optional) /users/[username]/jobs/[id] => { applied: {jobId, state} }
  * 
  * Allows a user or Admin to create a new job application.
+ * Applications always start out "applied"; state may only be "applied".
+ *
+ * To upload a resume with the application, send the body as
+ * multipart/form-data, with the file (PDF or DOCX, at most 5MB) as "resume".
  * 
- * Returns { applied: {jobId, state} } on success
+ * Returns { applied: {jobId, state} } on success, plus
+ *   coverLetter if one was given, and
+ *   resume: { filename, contentType, size } if one was uploaded
  * 
  * Authorization required: login, users can apply for themselves or Admins can apply for a user
  */
 
-router.post("/:username/jobs/:id", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.post("/:username/jobs/:id", authorize("application:create", userResource), uploadResume, async function (req, res, next) {
   try {
-    // let res;
-    if (req.body.length !== 0) {
-      const validator = jsonschema.validate(req.body, newApplicationSchema);
-      if (!validator.valid) {
-        const errs = validator.errors.map(e => e.stack);
-        throw new BadRequestError(errs);
-      }
-      let [jobId, state] = await User.apply(req.params.username, req.params.id, req.body.state);
-      return res.json({ applied: {jobId, state} });
-    } else {
-      let [jobId, state] = await User.apply(req.params.username, req.params.id);
-      return res.json({ applied: {jobId, state} });
+    const validator = jsonschema.validate({ ...req.body }, newApplicationSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
     }
+    const { coverLetter } = req.body;
+    let [jobId, state] = await User.apply(
+        req.params.username, req.params.id, res.locals.user.username,
+        { coverLetter, resume: req.file });
+    const applied = { jobId, state };
+    if (coverLetter !== undefined) applied.coverLetter = coverLetter;
+    if (req.file) {
+      const { originalname: filename, mimetype: contentType, size } = req.file;
+      applied.resume = { filename, contentType, size };
+    }
+    return res.json({ applied });
   } catch (err) {
     return next(err);
   }
 });
 
+/** GET /users/[username]/jobs/[id]/resume => the resume file
+ *
+ * Downloads the resume uploaded with a job application.
+ *
+ * Authorization required: login, users can download their own resumes, Admins
+ * and recruiters for the job's company can download any
+ */
 
-/** GET / => { users: [ {username, firstName, lastName, email, jobs }, ... ] }
- * 
- * where jobs: [jobId, jobId ...]
+router.get("/:username/jobs/:id/resume", authorize("application:read", applicationResource), async function (req, res, next) {
+  try {
+    const { filename, contentType, data } = await Application.getResume(
+        req.params.username, req.params.id);
+    res.attachment(filename);
+    res.type(contentType);
+    return res.send(data);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH { state, note } /users/[username]/jobs/[id] => { application }
+ *
+ * Moves a job application along the pipeline:
+ *   applied → screening → interviewing → offered → accepted
+ * Until it is accepted, an application can also be rejected or withdrawn.
+ * The change and the optional note are recorded in the application's history.
+ *
+ * application is { username, jobId, state, appliedAt, updatedAt, coverLetter, resume }
+ *
+ * Authorization required: login, users can withdraw their own applications,
+ * Admins and recruiters for the job's company can make any change the pipeline allows
+ */
+
+router.patch("/:username/jobs/:id", authorize("application:update", applicationResource), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const application = await Application.updateState(
+        req.params.username, req.params.id, req.body.state, res.locals.user, req.body.note);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /users/[username]/jobs/[id] => { deleted: { username, jobId } } or { withdrawn: application }
+ *
+ * Users allowed application:delete (Admins) delete the application and its
+ * history outright. Users withdraw their own application instead, which keeps
+ * it and its history around (see PATCH above).
+ *
+ * Authorization required: application:withdraw (see helpers/policy.js)
+ */
+
+router.delete("/:username/jobs/:id", authorize("application:withdraw", applicationResource), async function (req, res, next) {
+  try {
+    if (can(res.locals.user, "application:delete")) {
+      await Application.remove(req.params.username, req.params.id);
+      return res.json({ deleted: { username: req.params.username, jobId: +req.params.id } });
+    }
+    const withdrawn = await Application.updateState(
+        req.params.username, req.params.id, "withdrawn", res.locals.user);
+    return res.json({ withdrawn });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /users/[username]/jobs/[id]/history => { history: [ event, ... ] }
+ *
+ * Every state change of a job application, oldest first.
+ *
+ * event is { fromState, toState, actor, note, createdAt }
+ *   where fromState is null for the event that created the application.
+ *   Notes by admins and recruiters are internal: the candidate sees null
+ *   for those (unless they can review the application themselves).
+ *
+ * Authorization required: login, users can see their own applications, Admins
+ * and recruiters for the job's company can see any
+ */
+
+router.get("/:username/jobs/:id/history", authorize("application:read", applicationResource), async function (req, res, next) {
+  try {
+    const resource = await applicationResource(req);
+    const forCandidate = !can(res.locals.user, "application:review", resource);
+    const history = await Application.history(
+        req.params.username, req.params.id, { forCandidate });
+    return res.json({ history });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET / => { users: [ {username, firstName, lastName, email, isAdmin }, ... ],
+ *              pagination: { total, page, limit, next, prev } }
  *
  * Returns list of all users.
  *
+ * Can filter on provided search filters:
+ * - username, firstName, lastName, email (will find case-insensitive, partial matches)
+ * - isAdmin
+ *
+ * Can paginate with page (default 1) & limit (default 20, at most 100).
+ *
+ * With include=applications, each user also has jobs, as in GET /[username].
+ *
+ * The X-Total-Count header holds the number of matching users.
+ *
  * Authorization required: login & Admin
  **/
 
-router.get("/", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.get("/", authorize("user:list"), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const query = parseQuery(req.query, userFilterSchema);
+    const validator = jsonschema.validate(query, userFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { page, limit, include, ...filters } = query;
+    const pagination = getPagination({ page, limit });
+    const users = await User.findAll(
+        filters, pagination, { applications: include === "applications" });
+    const total = await User.count(filters);
+    res.set("X-Total-Count", total);
+    return res.json({
+      users,
+      pagination: paginationEnvelope(req, { ...pagination, total }),
+    });
   } catch (err) {
     return next(err);
   }
@@ -101,12 +252,12 @@ router.get("/", ensureLoggedIn, isAuthorized, async function (req, res, next) {
 /** GET /[username] => { user }
  *
  * Returns { username, firstName, lastName, isAdmin, jobs }
- *   where jobs is { id, title, companyHandle, companyName, state }
+ *   where jobs is [{ id, title, companyHandle, companyName, salary, state, appliedAt, updatedAt }, ...]
  *
  * Authorization required: login & Admin or Current User
  **/
 
-router.get("/:username", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.get("/:username", authorize("user:read", userResource), async function (req, res, next) {
   try {
     const user = await User.get(req.params.username);
     return res.json({ user });
@@ -121,12 +272,15 @@ router.get("/:username", ensureLoggedIn, isAuthorized, async function (req, res,
  * Data can include:
  *   { firstName, lastName, password, email }
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+ *
+ * A new email has to be verified again: a link is mailed to it (see
+ * GET /auth/verify-email).
  *
  * Authorization required: login & Admin or Current User
  **/
 
-router.patch("/:username", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.patch("/:username", authorize("user:update", userResource), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userUpdateSchema);
     if (!validator.valid) {
@@ -135,6 +289,9 @@ router.patch("/:username", ensureLoggedIn, isAuthorized, async function (req, re
     }
 
     const user = await User.update(req.params.username, req.body);
+    if (req.body.email !== undefined && !user.emailVerified) {
+      await EmailVerification.send(user.username);
+    }
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -147,7 +304,7 @@ router.patch("/:username", ensureLoggedIn, isAuthorized, async function (req, re
  * Authorization required: login & Admin or Current User
  **/
 
-router.delete("/:username", ensureLoggedIn, isAuthorized, async function (req, res, next) {
+router.delete("/:username", authorize("user:delete", userResource), async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
@@ -157,4 +314,22 @@ router.delete("/:username", ensureLoggedIn, isAuthorized, async function (req, r
 });
 
 
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Lifts the lockout (or backoff) after too many failed logins for username,
+ * so they can log in right away.
+ *
+ * Authorization required: login & Admin
+ **/
+
+router.post("/:username/unlock", authorize("user:unlock"), async function (req, res, next) {
+  try {
+    await LoginThrottle.unlock(req.params.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 module.exports = router;
@@ -5,15 +5,21 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const { getMailer } = require("../helpers/mailer");
+const { setStorage } = require("../helpers/storage");
+const { LOGIN_MAX_FAILURES } = require("../config");
+const LoginThrottle = require("../models/loginThrottle");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  useMemoryStorage,
   u1Token,
   a1Token,
   u2Token,
+  u3Token,
   testJobs
 } = require("./_testCommon");
 
@@ -38,13 +44,18 @@ describe("POST /users", function () {
         .set("authorization", `Bearer ${a1Token}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
-      user: {
+      invitation: {
+        id: expect.any(Number),
         username: "u-new",
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: false,
-      }, token: expect.any(String),
+        invitedBy: "a1",
+        createdAt: expect.any(String),
+        expiresAt: expect.any(String),
+        status: "pending",
+      },
     });
   });
 
@@ -61,16 +72,53 @@ describe("POST /users", function () {
         .set("authorization", `Bearer ${a1Token}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
-      user: {
+      invitation: {
+        id: expect.any(Number),
         username: "u-new",
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: true,
-      }, token: expect.any(String),
+        invitedBy: "a1",
+        createdAt: expect.any(String),
+        expiresAt: expect.any(String),
+        status: "pending",
+      },
     });
   });
 
+  test("invites instead of creating the user", async function () {
+    await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          email: "new@email.com",
+        })
+        .set("authorization", `Bearer ${a1Token}`);
+    const [mail] = await getMailer().sentTo("new@email.com");
+    expect(mail.text).toContain("accept-invite?token=");
+
+    const resp = await request(app)
+        .get("/users/u-new")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("conflict if username taken", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u1",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          email: "new@email.com",
+        })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .post("/users")
@@ -108,7 +156,7 @@ describe("POST /users", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
-  test("unauthorized for users: create non-admin", async function () {
+  test("forbidden for users: create non-admin", async function () {
     const resp = await request(app)
         .post("/users")
         .send({
@@ -119,12 +167,12 @@ describe("POST /users", function () {
           isAdmin: false,
         })
         .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body.error.message).toEqual("Not an admin.");
   });
 });
 
-test("unauthorized for users: create admin", async function () {
+test("forbidden for users: create admin", async function () {
   const resp = await request(app)
       .post("/users")
       .send({
@@ -135,7 +183,7 @@ test("unauthorized for users: create admin", async function () {
         isAdmin: true,
       })
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body.error.message).toEqual("Not an admin.");
 });
 
@@ -151,14 +199,13 @@ describe("POST /users/:username/jobs/:id", () => {
     expect(resp.body).toEqual({ applied: {jobId: testJobs[1].id, state: "applied"} });
   });
 
-  test("works for admins with application state", async () => {
+  test("bad request for admins applying with a later state", async () => {
     const resp = await request(app)
           .post(`/users/u1/jobs/${testJobs[1].id}`)
           .send({state: "rejected"})
           .set("authorization", `Bearer ${a1Token}`)
     
-    expect(resp.statusCode).toEqual(200);
-    expect(resp.body).toEqual({ applied: {jobId: testJobs[1].id, state: "rejected"} });
+    expect(resp.statusCode).toEqual(400);
   });
 
   test("works for current user matching request user without application state", async () => {
@@ -180,12 +227,20 @@ describe("POST /users/:username/jobs/:id", () => {
     expect(resp.body).toEqual({ applied: {jobId: testJobs[2].id, state: "applied"} });
   });
 
-  test("unauthorized for current user not matching request user", async () => {
+  test("conflict when applying twice", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[0].id}`)
+          .set("authorization", `Bearer ${u1Token}`)
+    
+    expect(resp.statusCode).toEqual(409);
+  });
+
+  test("forbidden for current user not matching request user", async () => {
     const resp = await request(app)
           .post(`/users/u2/jobs/${testJobs[0].id}`)
           .set("authorization", `Bearer ${u1Token}`)
     
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("bad request for admins with incorrect application state value", async () => {
@@ -286,7 +341,67 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      pagination: { total: 4, page: 1, limit: 20, next: null, prev: null },
     });
+    expect(resp.headers["x-total-count"]).toEqual("4");
+  });
+
+  test("works for admins: include applications", async function () {
+    const resp = await request(app)
+        .get("/users?include=applications&username=u")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.users.map(u => [u.username, u.jobs.map(j => j.id)])).toEqual([
+      ["u1", [testJobs[0].id]],
+      ["u2", [testJobs[1].id]],
+      ["u3", []],
+    ]);
+  });
+
+  test("bad request for unknown include", async function () {
+    const resp = await request(app)
+        .get("/users?include=passwords")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works for admins: paginated", async function () {
+    const resp = await request(app)
+        .get("/users?page=2&limit=3")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u3"]);
+    expect(resp.body.pagination).toEqual({
+      total: 4,
+      page: 2,
+      limit: 3,
+      next: null,
+      prev: "/users?page=1&limit=3",
+    });
+  });
+
+  test("works for admins: with filters", async function () {
+    const resp = await request(app)
+        .get("/users?email=user&isAdmin=false&lastName=u3")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({
+      users: [
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          isAdmin: false,
+        },
+      ],
+      pagination: { total: 1, page: 1, limit: 20, next: null, prev: null },
+    });
+  });
+
+  test("bad request for invalid filter", async function () {
+    const resp = await request(app)
+        .get("/users?password=password1")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
   });
 
   test("unauth for anon", async function () {
@@ -306,11 +421,11 @@ describe("GET /users", function () {
     expect(resp.statusCode).toEqual(500);
   });
 
-  test("unauthorized for users", async function () {
+  test("forbidden for users", async function () {
     const resp = await request(app)
         .get("/users")
         .set("authorization", `Bearer ${u1Token}`);
-      expect(resp.statusCode).toEqual(401);
+      expect(resp.statusCode).toEqual(403);
       expect(resp.body.error.message).toEqual("Not an admin.");
   });
 });
@@ -328,8 +443,20 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         isAdmin: false,
-        jobs: [testJobs[0].id]
+        jobs: [
+          {
+            id: testJobs[0].id,
+            title: "manager",
+            companyHandle: "c1",
+            companyName: "C1",
+            salary: 65000,
+            state: "applied",
+            appliedAt: expect.any(String),
+            updatedAt: expect.any(String),
+          },
+        ],
       },
     });
   });
@@ -344,17 +471,46 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         isAdmin: false,
-        jobs: [testJobs[0].id]
+        jobs: [
+          {
+            id: testJobs[0].id,
+            title: "manager",
+            companyHandle: "c1",
+            companyName: "C1",
+            salary: 65000,
+            state: "applied",
+            appliedAt: expect.any(String),
+            updatedAt: expect.any(String),
+          },
+        ],
       },
     });
   });
 
-  test("unauthorized for current user not matching the request user", async function () {
+  test("never shows the internal review", async function () {
+    await request(app)
+        .post(`/jobs/${testJobs[0].id}/applications/u1/notes`)
+        .send({ body: "Internal only" })
+        .set("authorization", `Bearer ${a1Token}`);
+    await request(app)
+        .put(`/jobs/${testJobs[0].id}/applications/u1/rating`)
+        .send({ rating: 1 })
+        .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(JSON.stringify(resp.body)).not.toContain("Internal only");
+    expect(resp.body.user.jobs[0].rating).toBeUndefined();
+  });
+
+  test("forbidden for current user not matching the request user", async function () {
     const resp = await request(app)
         .get(`/users/u1`)
         .set("authorization", `Bearer ${u2Token}`);
-      expect(resp.statusCode).toEqual(401);
+      expect(resp.statusCode).toEqual(403);
   });
 
   test("unauth for anon", async function () {
@@ -387,6 +543,7 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         isAdmin: false,
       },
     });
@@ -405,11 +562,22 @@ describe("PATCH /users/:username", () => {
         firstName: "Bobby",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         isAdmin: false,
       },
     });
   });
 
+  test("works: changing the email unverifies it", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ email: "new@user.com" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.emailVerified).toEqual(false);
+    const [mail] = await getMailer().sentTo("new@user.com");
+    expect(mail.subject).toEqual("Verify your email for Jobly");
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
@@ -429,14 +597,14 @@ describe("PATCH /users/:username", () => {
     expect(resp.statusCode).toEqual(404);
   });
 
-  test("unauthorized if no such user for user", async function () {
+  test("forbidden if no such user for user", async function () {
     const resp = await request(app)
         .patch(`/users/nope`)
         .send({
           firstName: "Nope",
         })
         .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("bad request if invalid data for user", async function () {
@@ -472,6 +640,7 @@ describe("PATCH /users/:username", () => {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         isAdmin: false,
       },
     });
@@ -492,6 +661,7 @@ describe("PATCH /users/:username", () => {
         firstName: "U2F",
         lastName: "U2L",
         email: "user2@user.com",
+        emailVerified: true,
         isAdmin: false,
       },
     });
@@ -499,17 +669,440 @@ describe("PATCH /users/:username", () => {
     expect(isSuccessful).toBeTruthy();
   });
 
-  test("unauthorized: set new password current user not matching request user", async function () {
+  test("forbidden: set new password current user not matching request user", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
         .send({
           password: "new-password",
         })
         .set("authorization", `Bearer ${u2Token}`);
-        expect(resp.statusCode).toEqual(401);
+        expect(resp.statusCode).toEqual(403);
+  });
+
+
+});
+
+/************************************** resumes */
+
+describe("POST /users/:username/jobs/:id with resume", () => {
+  const pdf = Buffer.from("%PDF-1.4 resume");
+  const docx = Buffer.from("PK\x03\x04 resume", "binary");
+  const DOCX_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+  beforeEach(useMemoryStorage);
+
+  test("works with cover letter", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .send({ coverLetter: "Dear hiring manager" })
+          .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      applied: { jobId: testJobs[2].id, state: "applied", coverLetter: "Dear hiring manager" },
+    });
+  });
+
+  test("works with multipart cover letter and PDF", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .field("coverLetter", "Dear hiring manager")
+          .attach("resume", pdf, { filename: "cv.pdf", contentType: "application/pdf" })
+          .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      applied: {
+        jobId: testJobs[2].id,
+        state: "applied",
+        coverLetter: "Dear hiring manager",
+        resume: { filename: "cv.pdf", contentType: "application/pdf", size: pdf.length },
+      },
+    });
+  });
+
+  test("works with DOCX", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .attach("resume", docx, { filename: "cv.docx", contentType: DOCX_TYPE })
+          .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.applied.resume.contentType).toEqual(DOCX_TYPE);
+  });
+
+  test("no application if the resume can't be stored, so a retry works", async () => {
+    setStorage({ async save() { throw new Error("disk full"); } });
+    const failed = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .attach("resume", pdf, { filename: "cv.pdf", contentType: "application/pdf" })
+          .set("authorization", `Bearer ${u1Token}`);
+    expect(failed.statusCode).toEqual(500);
+
+    useMemoryStorage();
+
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .attach("resume", pdf, { filename: "cv.pdf", contentType: "application/pdf" })
+          .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.applied.resume.filename).toEqual("cv.pdf");
+  });
+
+  test("bad request for other file types", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .attach("resume", Buffer.from("hi"), { filename: "cv.txt", contentType: "text/plain" })
+          .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
   });
 
+  test("bad request if contents don't match the type", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .attach("resume", Buffer.from("not a pdf"), { filename: "cv.pdf", contentType: "application/pdf" })
+          .set("authorization", `Bearer ${u1Token}`);
 
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown fields", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .field("salary", "1000000")
+          .attach("resume", pdf, { filename: "cv.pdf", contentType: "application/pdf" })
+          .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async () => {
+    const resp = await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .attach("resume", pdf, { filename: "cv.pdf", contentType: "application/pdf" });
+
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /users/:username/jobs/:id/resume", () => {
+  const pdf = Buffer.from("%PDF-1.4 resume");
+
+  beforeEach(useMemoryStorage);
+
+  async function applyWithResume() {
+    await request(app)
+          .post(`/users/u1/jobs/${testJobs[2].id}`)
+          .attach("resume", pdf, { filename: "cv.pdf", contentType: "application/pdf" })
+          .set("authorization", `Bearer ${u1Token}`);
+  }
+
+  test("works for applicant", async () => {
+    await applyWithResume();
+    const resp = await request(app)
+          .get(`/users/u1/jobs/${testJobs[2].id}/resume`)
+          .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/pdf");
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="cv.pdf"');
+    expect(resp.body).toEqual(pdf);
+  });
+
+  test("works for admin", async () => {
+    await applyWithResume();
+    const resp = await request(app)
+          .get(`/users/u1/jobs/${testJobs[2].id}/resume`)
+          .set("authorization", `Bearer ${a1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("forbidden for other users", async () => {
+    await applyWithResume();
+    const resp = await request(app)
+          .get(`/users/u1/jobs/${testJobs[2].id}/resume`)
+          .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async () => {
+    await applyWithResume();
+    const resp = await request(app)
+          .get(`/users/u1/jobs/${testJobs[2].id}/resume`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no resume", async () => {
+    const resp = await request(app)
+          .get(`/users/u1/jobs/${testJobs[0].id}/resume`)
+          .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobs[0].id,
+        state: "screening",
+        appliedAt: expect.any(String),
+        updatedAt: expect.any(String),
+        coverLetter: null,
+        resume: null,
+      },
+    });
+  });
+
+  test("records the change and note in the history", async function () {
+    await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "screening", note: "Strong resume" })
+        .set("authorization", `Bearer ${a1Token}`);
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.history[1]).toEqual({
+      fromState: "applied",
+      toState: "screening",
+      actor: "a1",
+      note: "Strong resume",
+      createdAt: expect.any(String),
+    });
+  });
+
+  test("the candidate doesn't see others' notes in the history", async function () {
+    await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "screening", note: "Strong resume" })
+        .set("authorization", `Bearer ${u3Token}`);
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.history[1]).toEqual({
+      fromState: "applied",
+      toState: "screening",
+      actor: "u3",
+      note: null,
+      createdAt: expect.any(String),
+    });
+
+    const recruiterView = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(recruiterView.body.history[1].note).toEqual("Strong resume");
+  });
+
+  test("works for current user withdrawing", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("works for recruiter of the job's company", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("screening");
+  });
+
+  test("forbidden for recruiter of another company", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobs[1].id}`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden for current user accepting", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "accepted" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden for current user not matching request user", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobs[1].id}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "withdrawn" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for a transition the pipeline doesn't allow", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid state", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[0].id}`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobs[2].id}`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  test("admin deletes application and its history", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ deleted: { username: "u1", jobId: testJobs[0].id } });
+
+    const history = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(history.statusCode).toEqual(404);
+  });
+
+  test("current user withdraws application", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.withdrawn).toEqual({
+      username: "u1",
+      jobId: testJobs[0].id,
+      state: "withdrawn",
+      appliedAt: expect.any(String),
+      updatedAt: expect.any(String),
+      coverLetter: null,
+      resume: null,
+    });
+
+    const history = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(history.body.history.map(e => e.toState)).toEqual(["applied", "withdrawn"]);
+  });
+
+  test("bad request for current user withdrawing twice", async function () {
+    await request(app)
+        .delete(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for current user not matching request user", async function () {
+    const resp = await request(app)
+        .delete(`/users/u2/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobs[0].id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobs[2].id}`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id/history */
+
+describe("GET /users/:username/jobs/:id/history", function () {
+  test("works for current user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      history: [
+        {
+          fromState: null,
+          toState: "applied",
+          actor: "u1",
+          note: null,
+          createdAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for recruiter of the job's company", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/jobs/${testJobs[1].id}/history`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.history.length).toEqual(1);
+  });
+
+  test("forbidden for current user not matching request user", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/jobs/${testJobs[1].id}/history`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}/history`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobs[2].id}/history`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -542,10 +1135,53 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(404);
   });
 
-  test("unauthorized if user missing for user", async function () {
+  test("forbidden if user missing for user", async function () {
     const resp = await request(app)
         .delete(`/users/nope`)
         .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  async function lockOut() {
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await LoginThrottle.recordFailure("u1", null);
+    }
+  }
+
+  test("works for admins", async function () {
+    await lockOut();
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/unlock`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for the user themselves", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/unlock`);
     expect(resp.statusCode).toEqual(401);
   });
-});
\ No newline at end of file
+});